@@ -2,16 +2,29 @@
  * Background script - manages communication between content scripts and server
  */
 
+// Message schemas and protocol version (exposes self.AgentProtocol)
+importScripts('protocol.js');
+
 // State management
 let socket = null;
 let activeTab = null;
 let taskInProgress = false;
+let taskPaused = false;
+let captureScreenshots = false; // Set by the server for tasks running in vision mode
 let connectionStatus = 'disconnected';
+// Close code the server uses for a missing or unknown auth token
+const CLOSE_UNAUTHORIZED = 4001;
+let protocolVersion = null; // Negotiated with the server in the connected/hello handshake
 let serverUrl = 'ws://localhost:3000';
+let authToken = ''; // Sent as the ?token= query parameter when connecting
+let connectionError = null; // Why the server last refused or dropped us
 let reconnectAttempts = 0;
 let maxReconnectAttempts = 5;
 let reconnectDelay = 3000;
 let taskHistory = [];
+let taskEvents = []; // Progress of the current task, replayed to a popup opened mid-task
+const MAX_TASK_EVENTS = 200;
+let pendingApproval = null; // approvalRequested event of an action the server holds for the user
 let settings = {
   highlightElements: true,
   viewportExpansion: 300,
@@ -22,11 +35,19 @@ let settings = {
 // Initialize when extension is loaded
 function init() {
   // Load saved settings
-  chrome.storage.local.get(['serverUrl', 'settings'], (result) => {
+  chrome.storage.local.get(['serverUrl', 'authToken', 'settings', 'taskHistory'], (result) => {
     if (result.serverUrl) {
       serverUrl = result.serverUrl;
     }
     
+    if (result.authToken) {
+      authToken = result.authToken;
+    }
+    
+    if (result.taskHistory) {
+      taskHistory = result.taskHistory;
+    }
+    
     if (result.settings) {
       settings = { ...settings, ...result.settings };
     }
@@ -60,7 +81,7 @@ function setupMessageListeners() {
         break;
         
       case 'connect':
-        connectToServer(message.url);
+        connectToServer(message.url, message.token);
         sendResponse({ status: connectionStatus });
         break;
         
@@ -74,16 +95,31 @@ function setupMessageListeners() {
         break;
         
       case 'executeTask':
-        handleExecuteTask(message.task);
+        handleExecuteTask(message.task, message.options);
         sendResponse({ success: true });
         break;
         
+      case 'cancelTask':
+      case 'pauseTask':
+      case 'resumeTask':
+        sendResponse({ success: handleTaskControl(message.type) });
+        break;
+        
+      case 'approvalDecision':
+        sendResponse({ success: handleApprovalDecision(message) });
+        break;
+        
       case 'getStatus':
         sendResponse({
           connectionStatus,
           taskInProgress,
+          taskPaused,
           activeTab,
           serverUrl,
+          authToken,
+          connectionError,
+          taskEvents,
+          pendingApproval,
           settings
         });
         break;
@@ -109,12 +145,14 @@ function setupMessageListeners() {
 }
 
 // Connect to WebSocket server
-function connectToServer(url) {
+function connectToServer(url, token) {
   if (url) {
     serverUrl = url;
+    authToken = token || '';
     // Save to storage
-    chrome.storage.local.set({ serverUrl });
+    chrome.storage.local.set({ serverUrl, authToken });
   }
+  connectionError = null;
   
   // Close existing connection if any
   if (socket && socket.readyState !== WebSocket.CLOSED) {
@@ -123,7 +161,7 @@ function connectToServer(url) {
   
   // Create new connection
   try {
-    socket = new WebSocket(serverUrl);
+    socket = new WebSocket(buildSocketUrl(serverUrl, authToken));
     connectionStatus = 'connecting';
     updateBadge();
     
@@ -142,17 +180,27 @@ function connectToServer(url) {
     
     socket.onclose = (event) => {
       console.log(`Disconnected from server: ${event.code} ${event.reason}`);
-      connectionStatus = 'disconnected';
+      
+      // 4001: the server refused our token; retrying with it cannot help
+      const unauthorized = event.code === CLOSE_UNAUTHORIZED;
+      if (unauthorized) {
+        connectionStatus = 'unauthorized';
+        connectionError = event.reason || 'Invalid or missing auth token';
+      } else {
+        connectionStatus = 'disconnected';
+        connectionError = event.code >= 4000 ? event.reason : null;
+      }
       updateBadge();
       
       // Broadcast to UI
       chrome.runtime.sendMessage({
         type: 'connectionChanged',
-        status: connectionStatus
+        status: connectionStatus,
+        reason: connectionError
       });
       
       // Try to reconnect if closure wasn't intentional
-      if (!event.wasClean && reconnectAttempts < maxReconnectAttempts) {
+      if (!unauthorized && !event.wasClean && reconnectAttempts < maxReconnectAttempts) {
         reconnectAttempts++;
         const delay = reconnectDelay * reconnectAttempts;
         console.log(`Attempting to reconnect in ${delay/1000} seconds... (${reconnectAttempts}/${maxReconnectAttempts})`);
@@ -172,29 +220,109 @@ function connectToServer(url) {
       try {
         const message = JSON.parse(event.data);
         
-        if (message.type === 'action' && activeTab) {
+        // Reject messages that do not match the shared schema, naming the bad field
+        const validation = AgentProtocol.validateMessage(message, 'server');
+        if (!validation.valid) {
+          console.warn(`Invalid message from server: ${validation.error}`, message);
+          socket.send(JSON.stringify({
+            type: 'error',
+            error: `Invalid ${message.type || 'unknown'} message: ${validation.error}`,
+            field: validation.field
+          }));
+          return;
+        }
+        
+        if (message.type === 'connected') {
+          handleConnected(message);
+        } else if (message.type === 'error') {
+          console.error('Error from server:', message.error);
+          chrome.runtime.sendMessage({
+            type: 'error',
+            error: message.error
+          });
+        } else if (message.type === 'action' && activeTab) {
           // Forward action to content script
           chrome.tabs.sendMessage(activeTab, message);
         } else if (message.type === 'requestDOM' && activeTab) {
-          chrome.tabs.sendMessage(activeTab, { type: 'requestDOM' });
-        } else if (message.type === 'taskComplete') {
+          captureScreenshots = Boolean(message.screenshot);
+          chrome.tabs.sendMessage(activeTab, {
+            type: 'requestDOM',
+            stepId: message.stepId,
+            messageId: message.messageId
+          });
+        } else if (message.type === 'taskEvent') {
+          // Step progress for the popup's timeline
+          taskEvents.push(message);
+          if (taskEvents.length > MAX_TASK_EVENTS) {
+            taskEvents.shift();
+          }
+          
+          // Actions held for approval wait for the user's decision in the popup
+          if (message.event === 'approvalRequested') {
+            pendingApproval = message;
+            updateBadge();
+          } else if (message.event === 'approvalDecided') {
+            pendingApproval = null;
+            updateBadge();
+          }
+          chrome.runtime.sendMessage(message);
+        } else if (message.type === 'taskStarted') {
+          // Tasks started through the server's API run here too
+          taskInProgress = true;
+          taskPaused = false;
+          taskEvents = [];
+          pendingApproval = null;
+          if (message.tabId) {
+            activeTab = message.tabId;
+          }
+          updateBadge();
+          
+          chrome.runtime.sendMessage({
+            type: 'taskStarted',
+            task: message.task,
+            source: message.source
+          });
+        } else if (message.type === 'taskPaused' || message.type === 'taskResumed') {
+          taskPaused = message.type === 'taskPaused';
+          updateBadge();
+          
+          chrome.runtime.sendMessage({
+            type: message.type,
+            task: message.task
+          });
+        } else if (message.type === 'taskComplete' || message.type === 'taskCancelled') {
           taskInProgress = false;
+          taskPaused = false;
+          pendingApproval = null;
+          captureScreenshots = false;
           updateBadge();
           
+          // Drop any actions still queued in the page
+          if (message.type === 'taskCancelled' && activeTab) {
+            chrome.tabs.sendMessage(activeTab, { type: 'cancelActions' });
+          }
+          
           // Add to history
           taskHistory.push({
             task: message.task,
             result: message.result,
             success: message.success,
+            data: message.data,
+            usage: message.usage,
             timestamp: Date.now()
           });
           
+          // Persist recent results so the popup can show them later
+          chrome.storage.local.set({ taskHistory: taskHistory.slice(-10) });
+          
           // Notify UI if open
           chrome.runtime.sendMessage({
-            type: 'taskComplete',
+            type: message.type,
             task: message.task,
             result: message.result,
-            success: message.success
+            success: message.success,
+            data: message.data,
+            usage: message.usage
           });
         }
       } catch (error) {
@@ -208,6 +336,37 @@ function connectToServer(url) {
   }
 }
 
+// Add the auth token to the server URL; browsers cannot send headers with WebSockets
+function buildSocketUrl(url, token) {
+  if (!token) {
+    return url;
+  }
+  const socketUrl = new URL(url);
+  socketUrl.searchParams.set('token', token);
+  return socketUrl.toString();
+}
+
+// Agree on a protocol version with the server, or disconnect if there is none
+function handleConnected(message) {
+  protocolVersion = AgentProtocol.negotiateVersion(message.protocolVersion, message.minProtocolVersion);
+  
+  if (protocolVersion === null) {
+    const error = `Server protocol v${message.minProtocolVersion}-${message.protocolVersion} is not supported by this extension (v${AgentProtocol.MIN_PROTOCOL_VERSION}-${AgentProtocol.PROTOCOL_VERSION})`;
+    console.error(error);
+    chrome.runtime.sendMessage({ type: 'error', error });
+    socket.close(1000, 'Unsupported protocol version');
+    return;
+  }
+  
+  socket.send(JSON.stringify({
+    type: 'hello',
+    protocolVersion: AgentProtocol.PROTOCOL_VERSION,
+    minProtocolVersion: AgentProtocol.MIN_PROTOCOL_VERSION,
+    client: 'extension'
+  }));
+  console.log(`Using protocol v${protocolVersion}`);
+}
+
 // Disconnect from server
 function disconnectFromServer() {
   if (socket) {
@@ -225,13 +384,40 @@ function handleDomState(message, sender) {
     return;
   }
   
-  // Forward DOM state to server
+  // Capture the visible tab while the highlight overlay is still drawn
+  if (captureScreenshots && message.requested && sender.tab && sender.tab.active) {
+    chrome.tabs.captureVisibleTab(sender.tab.windowId, { format: 'jpeg', quality: 70 }, (dataUrl) => {
+      if (chrome.runtime.lastError) {
+        console.warn('Screenshot capture failed:', chrome.runtime.lastError.message);
+        sendDomState(message, sender, null);
+      } else {
+        sendDomState(message, sender, dataUrl);
+      }
+    });
+    return;
+  }
+  
+  sendDomState(message, sender, null);
+}
+
+// Forward DOM state (and optional screenshot data URL) to server
+function sendDomState(message, sender, screenshot) {
+  if (!socket || socket.readyState !== WebSocket.OPEN) {
+    return;
+  }
+  
   socket.send(JSON.stringify({
     type: 'domState',
     data: message.data,
     url: message.url,
     title: message.title,
     tabId: sender.tab?.id,
+    reason: message.reason,
+    requested: Boolean(message.requested),
+    messageId: message.messageId,
+    stepId: message.stepId,
+    replyTo: message.replyTo,
+    screenshot: screenshot || undefined,
     timestamp: message.timestamp || Date.now()
   }));
 }
@@ -248,6 +434,9 @@ function handleActionResult(message) {
     success: message.success,
     data: message.data,
     error: message.error,
+    messageId: message.messageId,
+    stepId: message.stepId,
+    replyTo: message.replyTo,
     timestamp: message.timestamp || Date.now()
   }));
 }
@@ -267,7 +456,7 @@ function handlePageUnload(message) {
 }
 
 // Start executing a task
-function handleExecuteTask(task) {
+function handleExecuteTask(task, options = {}) {
   if (!socket || socket.readyState !== WebSocket.OPEN) {
     chrome.runtime.sendMessage({
       type: 'error',
@@ -288,23 +477,59 @@ function handleExecuteTask(task) {
   socket.send(JSON.stringify({
     type: 'executeTask',
     task,
+    options,
     tabId: activeTab,
     timestamp: Date.now()
   }));
   
   taskInProgress = true;
+  taskEvents = [];
+  pendingApproval = null;
   updateBadge();
   
-  // Update content script settings
+  // Update content script settings; the server requests the first DOM state
   chrome.tabs.sendMessage(activeTab, {
     type: 'updateConfig',
     config: settings
   });
+}
+
+// Forward cancel, pause and resume requests to the server
+function handleTaskControl(type) {
+  if (!socket || socket.readyState !== WebSocket.OPEN || !taskInProgress) {
+    return false;
+  }
   
-  // Request fresh DOM state
-  chrome.tabs.sendMessage(activeTab, {
-    type: 'requestDOM'
-  });
+  socket.send(JSON.stringify({
+    type,
+    timestamp: Date.now()
+  }));
+  
+  // Stop queued actions right away rather than waiting for the server reply
+  if (type === 'cancelTask' && activeTab) {
+    chrome.tabs.sendMessage(activeTab, { type: 'cancelActions' });
+  }
+  
+  return true;
+}
+
+// Send the user's decision on a held action: approve, edit (with the edited
+// action) or reject
+function handleApprovalDecision(message) {
+  if (!socket || socket.readyState !== WebSocket.OPEN || !pendingApproval ||
+      pendingApproval.approvalId !== message.approvalId) {
+    return false;
+  }
+  
+  socket.send(JSON.stringify({
+    type: 'approvalDecision',
+    approvalId: message.approvalId,
+    decision: message.decision,
+    action: message.action,
+    comment: message.comment,
+    timestamp: Date.now()
+  }));
+  return true;
 }
 
 // Update extension settings
@@ -330,13 +555,20 @@ function updateBadge() {
   
   if (connectionStatus === 'connected') {
     color = '#4CAF50'; // Green
-    text = taskInProgress ? 'BUSY' : 'ON';
+    text = taskInProgress ? (taskPaused ? 'PAUS' : 'BUSY') : 'ON';
+    if (pendingApproval) {
+      color = '#FF9800'; // Orange
+      text = 'ASK';
+    }
   } else if (connectionStatus === 'connecting') {
     color = '#FFC107'; // Yellow
     text = '...';
   } else if (connectionStatus === 'error') {
     color = '#F44336'; // Red
     text = 'ERR';
+  } else if (connectionStatus === 'unauthorized') {
+    color = '#F44336'; // Red
+    text = 'AUTH';
   }
   
   chrome.action.setBadgeBackgroundColor({ color });
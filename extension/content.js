@@ -10,6 +10,22 @@ let actionController = null;
 let observerActive = false;
 let lastDomState = null;
 let pendingActionQueue = [];
+let pendingDomRequest = null; // ids of a requestDOM that arrived during an action
+let lastSentHash = null;
+let lastPushTime = 0;
+
+// Unsolicited (mutation) pushes: debounce, and send at most once per interval
+const MUTATION_DEBOUNCE_MS = 500;
+const MIN_PUSH_INTERVAL_MS = 2000;
+
+// States the server may show the model; only these move the diff baseline
+const BASELINE_REASONS = ['requested', 'initial'];
+
+// Unique id for each message sent to the server (randomUUID needs a secure context)
+let messageCounter = 0;
+function createMessageId() {
+  return `${Date.now().toString(36)}-${(++messageCounter).toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
 let config = {
   highlightElements: true,
   viewportExpansion: 300,
@@ -39,7 +55,7 @@ function init() {
     setupDomObserver();
     
     // Initial DOM collection (wait a moment for page to settle)
-    setTimeout(collectAndSendDOM, 1000);
+    setTimeout(() => collectAndSendDOM('initial'), 1000);
   } else {
     // Retry if scripts aren't loaded yet
     setTimeout(init, 100);
@@ -53,11 +69,16 @@ function setupMessageListeners() {
     
     switch (message.type) {
       case 'action':
-        handleAction(message.action);
+        handleAction(message.action, { stepId: message.stepId, replyTo: message.messageId });
         break;
         
       case 'requestDOM':
-        collectAndSendDOM();
+        collectAndSendDOM('requested', { stepId: message.stepId, replyTo: message.messageId });
+        break;
+        
+      case 'cancelActions':
+        // Drop queued actions; an action already running finishes on its own
+        pendingActionQueue = [];
         break;
         
       case 'updateConfig':
@@ -92,9 +113,10 @@ function setupDomObserver() {
     );
     
     if (significantChanges && !isProcessing) {
-      // Debounce DOM updates
+      // Debounce DOM updates and rate-limit the pushes they cause
+      const delay = Math.max(MUTATION_DEBOUNCE_MS, lastPushTime + MIN_PUSH_INTERVAL_MS - Date.now());
       clearTimeout(domUpdateTimeout);
-      domUpdateTimeout = setTimeout(collectAndSendDOM, 500);
+      domUpdateTimeout = setTimeout(() => collectAndSendDOM('mutation'), delay);
     }
   });
   
@@ -108,9 +130,19 @@ function setupDomObserver() {
   observerActive = true;
 }
 
-// Collect DOM state and send to background script
-function collectAndSendDOM() {
-  if (!domBuilder || isProcessing) return;
+// Collect DOM state and send to background script.
+// reason: 'requested' (server asked), 'initial', 'mutation', 'afterAction' or 'config'
+// ids: { stepId, replyTo } of the server message this state answers, if any
+function collectAndSendDOM(reason = 'requested', ids = {}) {
+  if (!domBuilder) return;
+  
+  // The page is still settling after an action; answer the server once it has
+  if (isProcessing) {
+    if (reason === 'requested') {
+      pendingDomRequest = ids;
+    }
+    return;
+  }
   
   try {
     // Analyze DOM
@@ -122,6 +154,18 @@ function collectAndSendDOM() {
     // Format DOM for LLM
     const formattedDOM = domBuilder.getFormattedDOMString(config.includedAttributes);
     
+    // Changes since the last state the server may have shown the model
+    const diff = domBuilder.diffWithPrevious(formattedDOM, BASELINE_REASONS.includes(reason));
+    
+    // Nothing changed since the last push; the server already has this state
+    if (reason === 'mutation' && diff.hash === lastSentHash) {
+      return;
+    }
+    lastSentHash = diff.hash;
+    if (reason === 'mutation') {
+      lastPushTime = Date.now();
+    }
+    
     // Cache current state
     lastDomState = {
       formattedDOM,
@@ -137,10 +181,16 @@ function collectAndSendDOM() {
       type: 'domState',
       data: {
         interactiveElements: formattedDOM,
-        elementCount: Object.keys(domBuilder.selectorMap).length
+        elementCount: Object.keys(domBuilder.selectorMap).length,
+        diff
       },
       url: window.location.href,
       title: document.title,
+      reason,
+      requested: reason === 'requested',
+      messageId: createMessageId(),
+      stepId: ids.stepId ?? null,
+      replyTo: ids.replyTo ?? null,
       timestamp: Date.now()
     });
     
@@ -159,13 +209,13 @@ function collectAndSendDOM() {
   }
 }
 
-// Handle incoming action request
-async function handleAction(action) {
+// Handle incoming action request; ids ({ stepId, replyTo }) are echoed in the result
+async function handleAction(action, ids = {}) {
   if (!actionController) return;
   
   // Queue action if currently processing
   if (isProcessing) {
-    pendingActionQueue.push(action);
+    pendingActionQueue.push({ action, ids });
     return;
   }
   
@@ -179,6 +229,9 @@ async function handleAction(action) {
       type: 'actionResult',
       success: result.success,
       data: result,
+      messageId: createMessageId(),
+      stepId: ids.stepId ?? null,
+      replyTo: ids.replyTo ?? null,
       timestamp: Date.now()
     });
     
@@ -187,12 +240,12 @@ async function handleAction(action) {
       isProcessing = false;
       
       // Update DOM state after action
-      collectAndSendDOM();
+      sendStateAfterAction(ids);
       
       // Process next action in queue if any
       if (pendingActionQueue.length > 0) {
-        const nextAction = pendingActionQueue.shift();
-        handleAction(nextAction);
+        const next = pendingActionQueue.shift();
+        handleAction(next.action, next.ids);
       }
     }, 300);
   } catch (error) {
@@ -202,14 +255,29 @@ async function handleAction(action) {
       success: false,
       error: error.message,
       stack: error.stack,
+      messageId: createMessageId(),
+      stepId: ids.stepId ?? null,
+      replyTo: ids.replyTo ?? null,
       timestamp: Date.now()
     });
     
     isProcessing = false;
     
     // Update DOM after error
-    collectAndSendDOM();
+    sendStateAfterAction(ids);
+  }
+}
+
+// Send the page once an action is over: as the answer to a DOM request that
+// came in while it ran, or else as an afterAction push
+function sendStateAfterAction(ids) {
+  if (pendingDomRequest) {
+    const request = pendingDomRequest;
+    pendingDomRequest = null;
+    collectAndSendDOM('requested', request);
+    return;
   }
+  collectAndSendDOM('afterAction', { stepId: ids.stepId });
 }
 
 // Update configuration
@@ -233,7 +301,7 @@ function updateConfig(newConfig) {
   
   // Re-analyze DOM with new settings
   if (!isProcessing) {
-    collectAndSendDOM();
+    collectAndSendDOM('config');
   }
 }
 
@@ -16,6 +16,10 @@ class DOMBuilder {
         this.highlightIndex = 0;
         this.selectorMap = {};
         this.HIGHLIGHT_CONTAINER_ID = "agent-highlight-container";
+
+        // Last serialization sent, keyed by xpath, so consecutive states can be diffed
+        this.previousElements = null;
+        this.previousHash = null;
         this.DOM_CACHE = {
             boundingRects: new WeakMap(),
             computedStyles: new WeakMap(),
@@ -506,6 +510,79 @@ class DOMBuilder {
         
         return result.join('\n');
     }
+
+    /**
+     * Compare a formatted DOM string with the previous one. With commit, the
+     * new string becomes the baseline for later diffs.
+     * Elements are matched by xpath; a change of index alone is not a change.
+     * Returns { hash, baseHash, added, changed, removed } where added/changed
+     * hold formatted lines and removed holds xpaths. baseHash is the hash of
+     * the serialization the diff is relative to (null for the first one).
+     */
+    diffWithPrevious(formattedDOM, commit = true) {
+        const hash = this._hashString(formattedDOM);
+        const elements = this._indexFormattedLines(formattedDOM);
+        const diff = {
+            hash,
+            baseHash: this.previousHash,
+            added: [],
+            changed: [],
+            removed: []
+        };
+
+        if (this.previousElements) {
+            for (const [key, element] of elements) {
+                const previous = this.previousElements.get(key);
+                if (!previous) {
+                    diff.added.push(element.line);
+                } else if (previous.content !== element.content) {
+                    diff.changed.push(element.line);
+                }
+            }
+            for (const [key, previous] of this.previousElements) {
+                if (!elements.has(key)) {
+                    diff.removed.push(previous.xpath);
+                }
+            }
+        }
+
+        if (commit) {
+            this.previousElements = elements;
+            this.previousHash = hash;
+        }
+        return diff;
+    }
+
+    _indexFormattedLines(formattedDOM) {
+        const elements = new Map();
+        for (const line of formattedDOM.split('\n')) {
+            const match = /^\[\d+\]\[xpath="([^"]*)"\](.*)$/.exec(line);
+            if (!match) continue;
+
+            // The same xpath can appear more than once across shadow roots and iframes
+            let key = match[1];
+            for (let n = 2; elements.has(key); n++) {
+                key = `${match[1]}#${n}`;
+            }
+
+            elements.set(key, {
+                xpath: match[1],
+                line,
+                content: match[2].replace(/ data-agent-idx="\d+"/, '')
+            });
+        }
+        return elements;
+    }
+
+    // FNV-1a, 32-bit; only used to tell serializations apart
+    _hashString(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(16).padStart(8, '0');
+    }
     
 }
 
@@ -4,13 +4,28 @@ document.addEventListener('DOMContentLoaded', function() {
   const statusIndicator = document.getElementById('status-indicator');
   const statusText = document.getElementById('status-text');
   const serverUrlInput = document.getElementById('server-url');
+  const authTokenInput = document.getElementById('auth-token');
   const connectBtn = document.getElementById('connect-btn');
   const disconnectBtn = document.getElementById('disconnect-btn');
   const taskInput = document.getElementById('task-input');
+  const maxStepsInput = document.getElementById('max-steps');
+  const visionMode = document.getElementById('vision-mode');
   const executeBtn = document.getElementById('execute-btn');
+  const pauseBtn = document.getElementById('pause-btn');
+  const resumeBtn = document.getElementById('resume-btn');
+  const cancelBtn = document.getElementById('cancel-btn');
   const currentTab = document.getElementById('current-tab');
   const taskStatus = document.getElementById('task-status');
   const resultsContainer = document.getElementById('results-container');
+  const timeline = document.getElementById('timeline');
+  const approvalPanel = document.getElementById('approval-panel');
+  const approvalAction = document.getElementById('approval-action');
+  const approvalReason = document.getElementById('approval-reason');
+  const approvalEdit = document.getElementById('approval-edit');
+  const approvalComment = document.getElementById('approval-comment');
+  const approveBtn = document.getElementById('approve-btn');
+  const editBtn = document.getElementById('edit-btn');
+  const rejectBtn = document.getElementById('reject-btn');
   
   // Settings elements
   const highlightElements = document.getElementById('highlight-elements');
@@ -21,18 +36,31 @@ document.addEventListener('DOMContentLoaded', function() {
   // State management
   let connectionStatus = 'disconnected';
   let taskInProgress = false;
+  let taskPaused = false;
+  let pendingApproval = null; // approvalRequested event the user has to answer
   
   // Initialize UI
   function init() {
     // Get current status from background script
     chrome.runtime.sendMessage({ type: 'getStatus' }, (response) => {
       if (response) {
-        updateConnectionStatus(response.connectionStatus);
+        updateConnectionStatus(response.connectionStatus, response.connectionError);
         taskInProgress = response.taskInProgress;
+        taskPaused = response.taskPaused;
         updateTaskStatus();
         
+        // Replay the progress of a task that started before the popup opened
+        if (response.taskEvents && response.taskEvents.length > 0) {
+          clearTimeline();
+          response.taskEvents.forEach(addTaskEvent);
+        }
+        if (response.pendingApproval) {
+          showApproval(response.pendingApproval);
+        }
+        
         // Update server URL field
         serverUrlInput.value = response.serverUrl || 'ws://localhost:3000';
+        authTokenInput.value = response.authToken || '';
         
         // Update settings values
         if (response.settings) {
@@ -67,7 +95,8 @@ document.addEventListener('DOMContentLoaded', function() {
       if (url) {
         chrome.runtime.sendMessage({
           type: 'connect',
-          url: url
+          url: url,
+          token: authTokenInput.value.trim()
         }, (response) => {
           if (response) {
             updateConnectionStatus(response.status);
@@ -93,16 +122,62 @@ document.addEventListener('DOMContentLoaded', function() {
       if (task) {
         chrome.runtime.sendMessage({
           type: 'executeTask',
-          task: task
+          task: task,
+          options: {
+            maxSteps: parseInt(maxStepsInput.value, 10) || undefined,
+            vision: visionMode.checked
+          }
         }, (response) => {
           if (response && response.success) {
             taskInProgress = true;
             updateTaskStatus();
+            clearTimeline();
           }
         });
       }
     });
     
+    // Pause, resume and cancel buttons
+    pauseBtn.addEventListener('click', () => {
+      chrome.runtime.sendMessage({ type: 'pauseTask' });
+    });
+    
+    resumeBtn.addEventListener('click', () => {
+      chrome.runtime.sendMessage({ type: 'resumeTask' });
+    });
+    
+    cancelBtn.addEventListener('click', () => {
+      chrome.runtime.sendMessage({ type: 'cancelTask' });
+    });
+    
+    // Decisions on an action held for approval
+    approveBtn.addEventListener('click', () => {
+      sendApprovalDecision('approve');
+    });
+    
+    rejectBtn.addEventListener('click', () => {
+      sendApprovalDecision('reject');
+    });
+    
+    // The first click opens the action for editing, the second sends it
+    editBtn.addEventListener('click', () => {
+      if (approvalEdit.hidden) {
+        approvalEdit.value = JSON.stringify(pendingApproval.action, null, 2);
+        approvalEdit.hidden = false;
+        editBtn.textContent = 'Send edit';
+        return;
+      }
+      
+      let action;
+      try {
+        action = JSON.parse(approvalEdit.value);
+      } catch (error) {
+        showError(`The edited action is not valid JSON: ${error.message}`);
+        return;
+      }
+      sendApprovalDecision('edit', action);
+    });
+    
     // Apply settings button
     applySettingsBtn.addEventListener('click', () => {
       const settings = {
@@ -120,19 +195,37 @@ document.addEventListener('DOMContentLoaded', function() {
     // Listen for messages from background script
     chrome.runtime.onMessage.addListener((message) => {
       if (message.type === 'connectionChanged') {
-        updateConnectionStatus(message.status);
-      } else if (message.type === 'taskComplete') {
+        updateConnectionStatus(message.status, message.reason);
+      } else if (message.type === 'taskStarted') {
+        taskInProgress = true;
+        taskPaused = false;
+        updateTaskStatus();
+        clearTimeline();
+        hideApproval();
+      } else if (message.type === 'taskEvent') {
+        addTaskEvent(message);
+        if (message.event === 'approvalRequested') {
+          showApproval(message);
+        } else if (message.event === 'approvalDecided') {
+          hideApproval();
+        }
+      } else if (message.type === 'taskPaused' || message.type === 'taskResumed') {
+        taskPaused = message.type === 'taskPaused';
+        updateTaskStatus();
+      } else if (message.type === 'taskComplete' || message.type === 'taskCancelled') {
         taskInProgress = false;
+        taskPaused = false;
         updateTaskStatus();
-        addTaskResult(message.task, message.result, message.success);
+        hideApproval();
+        addTaskResult(message.task, message.result, message.success, Date.now(), message.usage);
       } else if (message.type === 'error') {
         showError(message.error);
       }
     });
   }
   
-  // Update connection status in UI
-  function updateConnectionStatus(status) {
+  // Update connection status in UI; reason is the server's close reason, if any
+  function updateConnectionStatus(status, reason) {
     connectionStatus = status;
     
     // Remove all status classes
@@ -164,8 +257,17 @@ document.addEventListener('DOMContentLoaded', function() {
         disconnectBtn.disabled = true;
         break;
         
+      case 'unauthorized':
+        statusText.textContent = 'Unauthorized';
+        document.body.classList.add('status-error');
+        executeBtn.disabled = true;
+        connectBtn.disabled = false;
+        disconnectBtn.disabled = true;
+        showError(`The server rejected the auth token (${reason || 'invalid or missing token'}). Check the token and connect again.`);
+        break;
+        
       default:
-        statusText.textContent = 'Disconnected';
+        statusText.textContent = reason ? `Disconnected: ${reason}` : 'Disconnected';
         executeBtn.disabled = true;
         connectBtn.disabled = false;
         disconnectBtn.disabled = true;
@@ -174,8 +276,142 @@ document.addEventListener('DOMContentLoaded', function() {
   
   // Update task status in UI
   function updateTaskStatus() {
-    taskStatus.textContent = taskInProgress ? 'Yes' : 'No';
+    taskStatus.textContent = taskInProgress ? (taskPaused ? 'Paused' : 'Yes') : 'No';
     executeBtn.disabled = taskInProgress || connectionStatus !== 'connected';
+    pauseBtn.disabled = !taskInProgress || taskPaused;
+    resumeBtn.disabled = !taskInProgress || !taskPaused;
+    cancelBtn.disabled = !taskInProgress;
+  }
+  
+  // Empty the timeline for a new task
+  function clearTimeline() {
+    timeline.innerHTML = '';
+  }
+  
+  // Add a progress event to the timeline, grouped by step
+  function addTaskEvent(event) {
+    if (event.step === undefined) {
+      return;
+    }
+    
+    let stepItem = timeline.querySelector(`[data-step="${event.step}"]`);
+    if (!stepItem) {
+      const emptyState = timeline.querySelector('.empty-state');
+      if (emptyState) {
+        timeline.removeChild(emptyState);
+      }
+      
+      stepItem = document.createElement('li');
+      stepItem.className = 'timeline-step';
+      stepItem.dataset.step = event.step;
+      timeline.appendChild(stepItem);
+    }
+    
+    switch (event.event) {
+      case 'stepStarted':
+        addTimelineLine(stepItem, 'timeline-title', `Step ${event.step}: ${event.title || event.url}`);
+        break;
+        
+      case 'thought':
+        if (event.evaluation) {
+          addTimelineLine(stepItem, 'timeline-thought', event.evaluation);
+        }
+        if (event.nextGoal) {
+          addTimelineLine(stepItem, 'timeline-thought', `Next: ${event.nextGoal}`);
+        }
+        break;
+        
+      case 'actionChosen':
+        addTimelineLine(stepItem, 'timeline-action', describeAction(event.action));
+        break;
+        
+      case 'approvalRequested':
+        addTimelineLine(stepItem, 'timeline-thought', `Waiting for approval (${event.reason})`);
+        break;
+        
+      case 'approvalDecided': {
+        const decisions = {
+          approve: 'Approved',
+          edit: `Edited: ${describeAction(event.action)}`,
+          reject: 'Rejected'
+        };
+        const comment = event.comment ? ` - ${event.comment}` : '';
+        addTimelineLine(stepItem, 'timeline-action', `${decisions[event.decision] || event.decision}${comment}`);
+        break;
+      }
+        
+      case 'actionResult': {
+        const detail = event.error || (event.data && event.data.message) || (event.success ? 'Succeeded' : 'Failed');
+        addTimelineLine(stepItem, event.success ? 'result-success' : 'result-failure', `${event.success ? '✓' : '✗'} ${detail}`);
+        break;
+      }
+    }
+    
+    // Keep the latest step in view
+    timeline.scrollTop = timeline.scrollHeight;
+  }
+  
+  // Show the action the server holds until the user decides on it
+  function showApproval(event) {
+    pendingApproval = event;
+    approvalAction.textContent = describeAction(event.action);
+    approvalReason.textContent = event.reason || '';
+    approvalEdit.hidden = true;
+    approvalComment.value = '';
+    editBtn.textContent = 'Edit';
+    approvalPanel.hidden = false;
+  }
+  
+  function hideApproval() {
+    pendingApproval = null;
+    approvalPanel.hidden = true;
+  }
+  
+  // Send approve, edit (with the edited action) or reject for the held action
+  function sendApprovalDecision(decision, action) {
+    if (!pendingApproval) {
+      return;
+    }
+    
+    chrome.runtime.sendMessage({
+      type: 'approvalDecision',
+      approvalId: pendingApproval.approvalId,
+      decision,
+      action,
+      comment: approvalComment.value.trim() || undefined
+    }, (response) => {
+      if (!response || !response.success) {
+        showError('The decision could not be sent; the action may no longer be waiting');
+      }
+    });
+  }
+  
+  // Append a line of text to a timeline step
+  function addTimelineLine(stepItem, className, text) {
+    const line = document.createElement('div');
+    line.className = className;
+    line.textContent = text;
+    stepItem.appendChild(line);
+  }
+  
+  // Describe an action in a few words
+  function describeAction(action) {
+    switch (action.type) {
+      case 'click_element':
+        return `Click ${action.xpath || `element ${action.index}`}`;
+      case 'input_text':
+        return `Type "${action.text}" into ${action.xpath || `element ${action.index}`}`;
+      case 'extract_content':
+        return `Extract: ${action.goal}`;
+      case 'scroll':
+        return `Scroll ${action.direction || 'down'}`;
+      case 'wait':
+        return `Wait ${action.seconds || 1}s`;
+      case 'done':
+        return `Done: ${action.text || ''}`;
+      default:
+        return action.type;
+    }
   }
   
   // Load task history from storage
@@ -186,14 +422,14 @@ document.addEventListener('DOMContentLoaded', function() {
         
         // Show most recent tasks first
         result.taskHistory.reverse().forEach(item => {
-          addTaskResult(item.task, item.result, item.success, item.timestamp);
+          addTaskResult(item.task, item.result, item.success, item.timestamp, item.usage);
         });
       }
     });
   }
   
   // Add a task result to the UI
-  function addTaskResult(task, result, success, timestamp = Date.now()) {
+  function addTaskResult(task, result, success, timestamp = Date.now(), usage = null) {
     const resultItem = document.createElement('div');
     resultItem.className = 'result-item';
     
@@ -211,6 +447,15 @@ document.addEventListener('DOMContentLoaded', function() {
     
     resultItem.appendChild(resultTask);
     resultItem.appendChild(resultResponse);
+    
+    // Token usage and cost reported by the server
+    if (usage) {
+      const resultUsage = document.createElement('div');
+      resultUsage.className = 'result-usage';
+      resultUsage.textContent = formatUsage(usage);
+      resultItem.appendChild(resultUsage);
+    }
+    
     resultItem.appendChild(resultTime);
     
     // Clear empty state if present
@@ -229,6 +474,15 @@ document.addEventListener('DOMContentLoaded', function() {
     }
   }
   
+  // Format token counts and cost for display
+  function formatUsage(usage) {
+    let text = `Tokens: ${usage.promptTokens} in / ${usage.completionTokens} out`;
+    if (typeof usage.cost === 'number') {
+      text += ` · $${usage.cost.toFixed(4)}`;
+    }
+    return text;
+  }
+  
   // Show error message
   function showError(message) {
     // Create a temporary error notification
@@ -0,0 +1,276 @@
+/**
+ * Protocol - message schemas and version negotiation shared by the
+ * extension (background.js) and the server (required from server/index.js)
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.AgentProtocol = factory();
+  }
+}(typeof self !== 'undefined' ? self : this, function () {
+  // Bump PROTOCOL_VERSION for any change to the messages below; raise
+  // MIN_PROTOCOL_VERSION only when older peers can no longer be served.
+  // v2: taskStarted announces tasks started outside the popup (REST API)
+  // v3: controller channel (/control) for scripts driving a connected browser
+  // v4: taskEvent progress (steps, thoughts, actions) is sent to extensions too
+  // v5: actions held for approval (approvalDecision, decideApproval) and
+  //     replay scripts for controllers (getScript)
+  const PROTOCOL_VERSION = 5;
+  const MIN_PROTOCOL_VERSION = 1;
+
+  // Field specs: a type name ('string', 'number', 'integer', 'boolean',
+  // 'object', 'array', 'null', 'any'), alternatives joined with '|', and a
+  // leading '?' for optional fields. A nested object spec describes the
+  // fields of an object value. Fields not listed are allowed, so newer peers
+  // can add fields without breaking older ones.
+  const CORRELATION = {
+    messageId: '?string',
+    stepId: '?integer|null',
+    replyTo: '?string|null'
+  };
+
+  const CLIENT_MESSAGES = {
+    hello: {
+      protocolVersion: 'integer',
+      minProtocolVersion: '?integer',
+      client: '?string'
+    },
+    executeTask: {
+      task: 'string',
+      options: '?object',
+      tabId: '?integer',
+      timestamp: '?number'
+    },
+    domState: {
+      url: 'string',
+      title: '?string',
+      data: {
+        interactiveElements: 'string',
+        elementCount: '?integer',
+        diff: '?object'
+      },
+      reason: '?string',
+      requested: '?boolean',
+      ...CORRELATION,
+      tabId: '?integer',
+      screenshot: '?string',
+      timestamp: '?number'
+    },
+    actionResult: {
+      success: 'boolean',
+      data: '?object|null',
+      error: '?string|null',
+      ...CORRELATION,
+      timestamp: '?number'
+    },
+    cancelTask: { reason: '?string', timestamp: '?number' },
+    pauseTask: { timestamp: '?number' },
+    resumeTask: { timestamp: '?number' },
+    // Answer to an approvalRequested event: decision is 'approve', 'edit'
+    // (with the edited action) or 'reject'
+    approvalDecision: {
+      approvalId: 'string',
+      decision: 'string',
+      action: '?object',
+      comment: '?string',
+      timestamp: '?number'
+    },
+    pageUnload: { url: 'string', timestamp: '?number' },
+    error: { error: 'any', field: '?string' }
+  };
+
+  // Sent by controllers (the Node SDK) on the /control channel. Each request
+  // carries a requestId that the server's response echoes. clientId or tabId
+  // pick the extension to drive; without them the only idle one is used.
+  const TARGET = {
+    clientId: '?integer',
+    tabId: '?integer'
+  };
+
+  const CONTROLLER_MESSAGES = {
+    hello: CLIENT_MESSAGES.hello,
+    runTask: {
+      requestId: 'string',
+      task: 'string',
+      options: '?object',
+      ...TARGET
+    },
+    cancelTask: { requestId: 'string', taskId: 'string', reason: '?string' },
+    getTask: { requestId: 'string', taskId: 'string' },
+    // Replay script of a completed task; run it with runTask options.script
+    getScript: { requestId: 'string', taskId: 'string' },
+    listClients: { requestId: 'string' },
+    decideApproval: {
+      requestId: 'string',
+      taskId: 'string',
+      approvalId: 'string',
+      decision: 'string',
+      action: '?object',
+      comment: '?string'
+    },
+    command: {
+      requestId: 'string',
+      action: { type: 'string' },
+      ...TARGET
+    },
+    getDom: { requestId: 'string', ...TARGET }
+  };
+
+  const SERVER_MESSAGES = {
+    connected: {
+      clientId: 'integer',
+      message: '?string',
+      protocolVersion: 'integer',
+      minProtocolVersion: 'integer'
+    },
+    action: {
+      action: { type: 'string' },
+      stepId: 'integer',
+      messageId: 'string'
+    },
+    requestDOM: {
+      screenshot: '?boolean',
+      stepId: 'integer',
+      messageId: 'string'
+    },
+    taskComplete: {
+      taskId: '?string',
+      task: '?string|null',
+      result: '?string',
+      success: 'boolean',
+      reason: '?string',
+      data: '?any',
+      findings: '?array',
+      usage: '?object'
+    },
+    taskCancelled: {
+      taskId: '?string',
+      task: '?string|null',
+      result: '?string',
+      success: 'boolean',
+      findings: '?array',
+      usage: '?object'
+    },
+    taskStarted: {
+      taskId: 'string',
+      task: 'string',
+      source: '?string',
+      tabId: '?integer'
+    },
+    taskPaused: { taskId: '?string', task: '?string|null' },
+    taskResumed: { taskId: '?string', task: '?string|null' },
+    error: { error: 'string', field: '?string' },
+    // Controller channel only
+    response: {
+      requestId: 'string',
+      ok: 'boolean',
+      result: '?any',
+      error: '?string'
+    },
+    // Task progress: stepStarted { step, url, title }, thought { step,
+    // evaluation, nextGoal }, actionChosen { step, action }, approvalRequested
+    // { step, approvalId, action, rule, reason, element, url, requestedAt },
+    // approvalDecided { step, approvalId, decision, action, comment },
+    // actionResult { step, success, error, data }; controllers also get
+    // status and finished
+    taskEvent: {
+      taskId: 'string',
+      event: 'string',
+      step: '?integer',
+      timestamp: '?number'
+    }
+  };
+
+  /**
+   * Check a value against a single type name
+   */
+  function matchesType(value, type) {
+    switch (type) {
+      case 'any': return true;
+      case 'null': return value === null;
+      case 'array': return Array.isArray(value);
+      case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+      case 'integer': return Number.isInteger(value);
+      default: return typeof value === type;
+    }
+  }
+
+  /**
+   * Validate fields of an object; returns null or { field, error }
+   */
+  function checkFields(value, fields, path) {
+    for (const name of Object.keys(fields)) {
+      const spec = fields[name];
+      const field = path ? `${path}.${name}` : name;
+      const present = value[name] !== undefined;
+
+      if (typeof spec === 'object') {
+        if (!matchesType(value[name], 'object')) {
+          return { field, error: `${field} must be an object` };
+        }
+        const nested = checkFields(value[name], spec, field);
+        if (nested) return nested;
+        continue;
+      }
+
+      const optional = spec.startsWith('?');
+      const types = (optional ? spec.slice(1) : spec).split('|');
+
+      if (!present) {
+        if (optional) continue;
+        return { field, error: `${field} is required` };
+      }
+
+      if (!types.some(type => matchesType(value[name], type))) {
+        return { field, error: `${field} must be ${types.join(' or ')}` };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Validate a parsed message sent by 'client' (extension), 'controller'
+   * (SDK) or 'server'.
+   * Returns { valid: true } or { valid: false, field, error }.
+   */
+  function validateMessage(message, sender) {
+    if (!matchesType(message, 'object')) {
+      return { valid: false, field: '', error: 'message must be a JSON object' };
+    }
+    if (typeof message.type !== 'string') {
+      return { valid: false, field: 'type', error: 'type must be a string' };
+    }
+
+    const schemas = {
+      server: SERVER_MESSAGES,
+      controller: CONTROLLER_MESSAGES
+    }[sender] || CLIENT_MESSAGES;
+    const fields = schemas[message.type];
+    if (!fields) {
+      return { valid: false, field: 'type', error: `unknown message type '${message.type}'` };
+    }
+
+    const problem = checkFields(message, fields, '');
+    return problem ? { valid: false, ...problem } : { valid: true };
+  }
+
+  /**
+   * Pick the highest version both peers support, or null if there is none
+   */
+  function negotiateVersion(peerVersion, peerMinVersion) {
+    const version = Math.min(PROTOCOL_VERSION, peerVersion);
+    const floor = Math.max(MIN_PROTOCOL_VERSION, peerMinVersion || 1);
+    return version >= floor ? version : null;
+  }
+
+  return {
+    PROTOCOL_VERSION,
+    MIN_PROTOCOL_VERSION,
+    CLIENT_MESSAGES,
+    CONTROLLER_MESSAGES,
+    SERVER_MESSAGES,
+    validateMessage,
+    negotiateVersion
+  };
+}));
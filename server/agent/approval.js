@@ -0,0 +1,158 @@
+/**
+ * Approval Policy
+ * Decides which actions are held for a human to approve before they run
+ */
+
+const fs = require('fs');
+const { formatLocator } = require('./locator');
+
+// Reading, scrolling, waiting and finishing never change the page; by
+// default rules only apply to clicks and inputs
+const DEFAULT_ACTIONS = ['click_element', 'input_text'];
+
+/**
+ * Policy: { rules: [{ name, actions, url, text, keywords }] }. A rule holds
+ * an action when every condition it sets is met:
+ *   actions   action types it applies to (default click_element, input_text)
+ *   url       regular expression tested against the page URL
+ *   text      regular expression tested against the target element's text
+ *   keywords  words (e.g. "Buy", "Delete", "Send") any of which appears in
+ *             the element's text or labels, case-insensitively
+ * Text and keyword rules hold an action whose target element cannot be
+ * identified; for actions without a target they check the action's text.
+ * Throws when the policy is malformed.
+ */
+class ApprovalPolicy {
+  constructor(config) {
+    if (!config || !Array.isArray(config.rules)) {
+      throw new Error('Approval policy must have a "rules" array');
+    }
+    this.rules = config.rules.map((rule, index) => compileRule(rule, index));
+  }
+
+  /**
+   * Whether any rule applies to an action type
+   */
+  appliesTo(type) {
+    return this.rules.some(rule => rule.actions.includes(type));
+  }
+
+  /**
+   * The first rule holding an action, as { rule, reason }, or null when it
+   * may run. context: { url, element } where element is a locator
+   */
+  match(action, context = {}) {
+    for (const rule of this.rules) {
+      const reason = checkRule(rule, action, context);
+      if (reason) {
+        return { rule: rule.name, reason: `${rule.name}: ${reason}` };
+      }
+    }
+    return null;
+  }
+}
+
+function compileRule(rule, index) {
+  const where = `Approval rule ${index + 1}`;
+  if (!rule || typeof rule !== 'object') {
+    throw new Error(`${where} must be an object`);
+  }
+  if (rule.actions !== undefined && (!Array.isArray(rule.actions) || !rule.actions.every(type => typeof type === 'string'))) {
+    throw new Error(`${where}: "actions" must be an array of action types`);
+  }
+  if (rule.keywords !== undefined && (!Array.isArray(rule.keywords) || !rule.keywords.every(word => typeof word === 'string' && word))) {
+    throw new Error(`${where}: "keywords" must be an array of words`);
+  }
+
+  return {
+    name: typeof rule.name === 'string' && rule.name ? rule.name : `rule ${index + 1}`,
+    actions: rule.actions || DEFAULT_ACTIONS,
+    url: compilePattern(rule.url, `${where}: "url"`),
+    text: compilePattern(rule.text, `${where}: "text"`),
+    keywords: (rule.keywords || []).map(word => ({
+      word,
+      pattern: new RegExp(`(^|\\W)${escapeRegExp(word)}($|\\W)`, 'i')
+    }))
+  };
+}
+
+function compilePattern(source, where) {
+  if (source === undefined) {
+    return null;
+  }
+  if (typeof source !== 'string') {
+    throw new Error(`${where} must be a regular expression string`);
+  }
+  try {
+    return new RegExp(source, 'i');
+  } catch (error) {
+    throw new Error(`${where} is not a valid regular expression: ${error.message}`);
+  }
+}
+
+/**
+ * Why a rule holds an action, or null if it does not
+ */
+function checkRule(rule, action, { url, element }) {
+  if (!rule.actions.includes(action.type)) {
+    return null;
+  }
+  if (rule.url && !(url && rule.url.test(url))) {
+    return null;
+  }
+
+  // Text and keywords are checked against the target element, or against
+  // the action's own text when it has no target
+  let subject = element && element.tag ? element : null;
+  const needsElement = rule.text || rule.keywords.length > 0;
+  if (needsElement && !subject) {
+    // Fail closed: an element that cannot be identified may be the guarded one
+    if (typeof action.xpath === 'string') {
+      const target = element ? formatLocator(element) : `the element at ${action.xpath}`;
+      return `${action.type} on ${target}, which could not be identified${url ? ` at ${url}` : ''}`;
+    }
+    const text = typeof action.text === 'string' ? action.text : '';
+    if (!text) {
+      return null;
+    }
+    subject = { text, attributes: {} };
+  }
+  if (rule.text && !rule.text.test(subject.text)) {
+    return null;
+  }
+
+  let keyword = null;
+  if (rule.keywords.length > 0) {
+    const haystack = [subject.text, ...Object.values(subject.attributes)].join('\n');
+    keyword = rule.keywords.find(candidate => candidate.pattern.test(haystack));
+    if (!keyword) {
+      return null;
+    }
+  }
+
+  const target = element && element.tag ? ` on ${formatLocator(element)}` : '';
+  return `${action.type}${target}${keyword ? ` (keyword "${keyword.word}")` : ''}${url ? ` at ${url}` : ''}`;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Read the policy from APPROVAL_POLICY_FILE (a JSON file) or APPROVAL_POLICY
+ * (inline JSON); null when neither is set, so no action needs approval
+ */
+function loadApprovalPolicy(env = process.env) {
+  if (env.APPROVAL_POLICY_FILE) {
+    return new ApprovalPolicy(JSON.parse(fs.readFileSync(env.APPROVAL_POLICY_FILE, 'utf8')));
+  }
+  if (env.APPROVAL_POLICY) {
+    return new ApprovalPolicy(JSON.parse(env.APPROVAL_POLICY));
+  }
+  return null;
+}
+
+module.exports = {
+  ApprovalPolicy,
+  loadApprovalPolicy
+};
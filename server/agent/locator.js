@@ -0,0 +1,112 @@
+/**
+ * Element Locators
+ * Describe the element an action targeted, and find it again in a later page
+ * state, from the formatted element lines the extension sends
+ */
+
+// One formatted line: [index][xpath="..."]<tag attributes>text</tag>
+const LINE_PATTERN = /^\[(\d+)\]\[xpath="([^"]*)"\]<([\w-]+)(.*?)>(.*)<\/[\w-]+>$/;
+const ATTRIBUTE_PATTERN = /([\w:-]+)="([^"]*)"/g;
+
+// Attributes that identify an element across visits; values, classes and
+// active-state markers change as the page is used
+const LOCATOR_ATTRIBUTES = ['title', 'type', 'name', 'role', 'aria-label', 'placeholder'];
+
+/**
+ * Parse formatted element lines into [{ index, xpath, tag, text, attributes }]
+ */
+function parseElements(interactiveElements) {
+  const elements = [];
+
+  for (const line of (interactiveElements || '').split('\n')) {
+    const match = LINE_PATTERN.exec(line);
+    if (!match) continue;
+
+    const attributes = {};
+    for (const [, name, value] of match[4].matchAll(ATTRIBUTE_PATTERN)) {
+      if (LOCATOR_ATTRIBUTES.includes(name)) {
+        attributes[name] = value;
+      }
+    }
+
+    elements.push({
+      index: Number(match[1]),
+      xpath: match[2],
+      tag: match[3],
+      text: match[5].trim(),
+      attributes
+    });
+  }
+  return elements;
+}
+
+/**
+ * Locator of the element an action targets in a page state:
+ * { xpath, tag, text, attributes }, or null for actions without an xpath
+ */
+function describeElement(domState, action) {
+  if (!action || typeof action.xpath !== 'string' || !domState || !domState.data) {
+    return null;
+  }
+
+  const element = parseElements(domState.data.interactiveElements).find(candidate => candidate.xpath === action.xpath);
+  if (!element) {
+    return { xpath: action.xpath, tag: null, text: '', attributes: {} };
+  }
+  const { index, ...locator } = element;
+  return locator;
+}
+
+/**
+ * Find a locator's element in a page state. The recorded xpath wins when the
+ * element there still matches; otherwise the one element with the same tag,
+ * text and attributes is taken. Returns { xpath, relocated } or null when the
+ * element is missing or cannot be told apart from others.
+ */
+function findElement(domState, locator) {
+  const elements = parseElements(domState.data.interactiveElements);
+
+  // Without a description only the recorded position can be trusted
+  if (!locator.tag) {
+    return elements.some(element => element.xpath === locator.xpath) ?
+      { xpath: locator.xpath, relocated: false } :
+      null;
+  }
+
+  const matches = elements.filter(element => matchesLocator(element, locator));
+  if (matches.some(element => element.xpath === locator.xpath)) {
+    return { xpath: locator.xpath, relocated: false };
+  }
+
+  // A bare element (no text or attributes) is too vague to look for elsewhere
+  const identifiable = locator.text || Object.keys(locator.attributes).length > 0;
+  if (identifiable && matches.length === 1) {
+    return { xpath: matches[0].xpath, relocated: true };
+  }
+  return null;
+}
+
+function matchesLocator(element, locator) {
+  if (element.tag !== locator.tag || element.text !== locator.text) {
+    return false;
+  }
+  return Object.entries(locator.attributes).every(([name, value]) => element.attributes[name] === value);
+}
+
+/**
+ * Short human-readable form of a locator, e.g. <button name="buy">Buy now</button>
+ */
+function formatLocator(locator) {
+  if (!locator.tag) {
+    return `the element at ${locator.xpath}`;
+  }
+  const attributes = Object.entries(locator.attributes).map(([name, value]) => ` ${name}="${value}"`).join('');
+  return `<${locator.tag}${attributes}>${locator.text}</${locator.tag}>`;
+}
+
+module.exports = {
+  parseElements,
+  describeElement,
+  findElement,
+  formatLocator
+};
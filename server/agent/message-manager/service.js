@@ -4,26 +4,54 @@
  */
 
 const { MessageMetadata, MessageHistory } = require('./views');
+const { createTokenizer } = require('../../llm/tokenizer');
+const logger = require('../../utils/logger'); // Import our logger
+
+// Rough token cost of one attached screenshot
+const IMAGE_TOKEN_ESTIMATE = 1000;
+
+// Longest slice of a single finding shown to the model
+const MAX_FINDING_CHARS = 4000;
+
+// Longest summary kept in place of compacted messages
+const MAX_SUMMARY_CHARS = 2000;
+
+// Most recent actions listed individually in the action summary
+const MAX_SUMMARY_ACTIONS = 20;
+
+// Text kept per element in the compact snapshot that accompanies a diff
+const COMPACT_TEXT_CHARS = 40;
 
 class MessageManager {
   constructor(task, options = {}) {
     this.task = task;
     this.history = new MessageHistory();
     this.maxTokens = options.maxTokens || 8000;
+    this.toolCalling = options.toolCalling || false;
+    this.outputSchema = options.outputSchema || null;
+    this.tokenizer = options.tokenizer || createTokenizer(options.provider, options.model);
     this.actionHistory = []; // Add this to track actions
+    this.findings = []; // Named content extracted during the task
+    this.findingsMessage = null;
+    this.lastStateHash = null; // Hash of the last DOM serialization shown to the model
     
     // Initialize with system message and task
     this.addSystemMessage();
     this.addTaskMessage();
+    if (this.outputSchema) {
+      this.addOutputSchemaMessage();
+    }
   }
 
   /**
    * Add system message with instructions
    */
   addSystemMessage() {
-    const systemContent = `You are an AI agent that interacts with web pages. You will be given information about the current state of a webpage and must decide what action to take next. The goal is to complete the user's task.
+    const intro = `You are an AI agent that interacts with web pages. You will be given information about the current state of a webpage and must decide what action to take next. The goal is to complete the user's task.`;
 
-Your response should be a JSON object with this structure:
+    const responseFormat = this.toolCalling ?
+      `Respond by calling exactly one of the provided tools. Every tool takes a "current_state" argument with your "evaluation" of the current page state and your "next_goal".` :
+      `Your response should be a JSON object with this structure:
 {
   "current_state": {
     "evaluation": "Your analysis of the current page state",
@@ -33,22 +61,26 @@ Your response should be a JSON object with this structure:
     "type": "action_name",
     // Additional parameters based on action type
   }
-}
+}`;
+
+    const systemContent = `${intro}
+
+${responseFormat}
 
 Available actions:
 - click_element: Click on an element by XPath. Parameters: { xpath: string }
 - input_text: Type text into an input field. Parameters: { xpath: string, text: string }
-- extract_content: Extract information from the page. Parameters: { goal: string }
+- extract_content: Extract information from the page and save it as a named finding. Parameters: { goal: string, name: string (optional) }
 - scroll: Scroll the page. Parameters: { direction: "up"|"down", amount: number (optional) }
 - wait: Wait for specified seconds. Parameters: { seconds: number (optional, default 1) }
-- done: Mark task as complete. Parameters: { text: string, success: boolean }
+- done: Mark task as complete. Parameters: { text: string, success: boolean, data: object (only when an output schema is given) }
 
 Carefully analyze the webpage elements provided. Elements are identified by [xpath="..."] attributes. Include the element's current 'value' in your analysis. Choose actions that make progress toward completing the task efficiently. Avoid repeating actions that don't lead to progress.
 
 **CRITICAL: Before using 'input_text', check if the target element already has the desired value or similar content. Do NOT use 'input_text' if the field is already correctly filled. Target elements using the full 'xpath' value provided in the square brackets.**`;
 
     const message = { role: 'system', content: systemContent };
-    this.addMessage(message);
+    this.addMessage(message, { kind: 'system' });
   }
 
   /**
@@ -56,30 +88,70 @@ Carefully analyze the webpage elements provided. Elements are identified by [xpa
    */
   addTaskMessage() {
     const message = { role: 'user', content: `Your task is: "${this.task}"` };
-    this.addMessage(message);
+    // The task must survive every compaction
+    this.addMessage(message, { protected: true, kind: 'task' });
+  }
+
+  /**
+   * Describe the structured result the caller expects from 'done'
+   */
+  addOutputSchemaMessage() {
+    const message = {
+      role: 'system',
+      content: `When the task is complete, call 'done' with success=true and a "data" field containing JSON that matches this schema exactly:\n${JSON.stringify(this.outputSchema, null, 2)}\nIf the task cannot be completed, call 'done' with success=false; "data" may then be omitted.`
+    };
+    this.addMessage(message, { protected: true, kind: 'schema' });
   }
 
   /**
    * Add a DOM state message
    */
   addStateMessage(state) {
-    // Add action history summary before the state if we have actions
+    // Only the newest state is kept in full; older ones shrink to a one-line digest
+    this.collapseStateMessages();
+    
+    // Keep a single action summary, placed just before the state
+    const previousSummary = this.history.findLast('actions');
+    if (previousSummary) {
+      this.history.removeMessage(previousSummary.message);
+    }
     const summary = this.generateActionSummary();
     if (summary) {
       this.addMessage({
         role: 'system',
         content: summary
-      });
+      }, { kind: 'actions' });
     }
     
     // Format the DOM state for the LLM
     const formattedState = this.formatStateMessage(state);
+    this.lastStateHash = state.data.diff?.hash || null;
     
-    // Log the formatted state for debugging
-    console.log('[MessageManager] Formatted state message:', formattedState);
+    // State messages can be very large; log only their size
+    logger.debug(`[MessageManager] Formatted state message for ${state.url}: ${formattedState.length} chars`);
     
     const message = { role: 'user', content: formattedState };
-    this.addMessage(message);
+    
+    // Only the latest state carries a screenshot; older images just cost tokens
+    if (state.screenshotImage) {
+      this.history.removeImages(IMAGE_TOKEN_ESTIMATE);
+      message.images = [state.screenshotImage];
+    }
+    
+    const digest = `[Earlier page state] ${state.url} - ${state.title || 'untitled'}`;
+    this.addMessage(message, { kind: 'state', digest });
+  }
+
+  /**
+   * Replace full page states in history with their digests
+   */
+  collapseStateMessages() {
+    for (const entry of this.history.getEntries()) {
+      const digest = entry.metadata.digest;
+      if (entry.metadata.kind === 'state' && digest && entry.message.content !== digest) {
+        this.history.updateMessage(entry.message, digest, this.estimateTokens(digest));
+      }
+    }
   }
 
   /**
@@ -88,14 +160,19 @@ Carefully analyze the webpage elements provided. Elements are identified by [xpa
   addActionResultMessage(result) {
     let content = '';
     
-    if (result.success) {
+    if (result.success && typeof result.data?.extracted === 'string') {
+      // Keep extracted content as a finding the model sees on every step
+      const name = result.action?.name || result.action?.goal || `finding ${this.findings.length + 1}`;
+      this.addFinding(name, result.data.extracted, result.url);
+      content = `Action completed: extracted ${result.data.extracted.length} characters, saved as finding "${name}"`;
+    } else if (result.success) {
       content = `Action completed: ${result.data?.message || 'Success'}`;
     } else {
       content = `Action failed: ${result.error || 'Unknown error'}`;
     }
     
     const message = { role: 'system', content };
-    this.addMessage(message);
+    this.addMessage(message, { kind: 'result' });
     
     // Store the action in history
     if (result.action) {
@@ -103,6 +180,101 @@ Carefully analyze the webpage elements provided. Elements are identified by [xpa
     }
   }
 
+  /**
+   * Store extracted content under a name, replacing an earlier finding with the same name
+   */
+  addFinding(name, content, url) {
+    const finding = { name, content, url: url || null, timestamp: Date.now() };
+    const index = this.findings.findIndex(existing => existing.name === name);
+    
+    if (index >= 0) {
+      this.findings[index] = finding;
+    } else {
+      this.findings.push(finding);
+    }
+    
+    this.updateFindingsMessage();
+  }
+
+  /**
+   * Get all findings collected so far
+   */
+  getFindings() {
+    return this.findings.map(({ name, content, url }) => ({ name, content, url }));
+  }
+
+  /**
+   * Keep a single protected findings block in history, updated in place
+   */
+  updateFindingsMessage() {
+    let content = 'Findings collected so far (use these for your final answer):\n';
+    for (const finding of this.findings) {
+      const text = finding.content.length > MAX_FINDING_CHARS ?
+        `${finding.content.substring(0, MAX_FINDING_CHARS)}\n[truncated]` :
+        finding.content;
+      content += `\n### ${finding.name}${finding.url ? ` (${finding.url})` : ''}\n${text}\n`;
+    }
+    
+    if (this.findingsMessage) {
+      this.history.updateMessage(this.findingsMessage, content, this.estimateTokens(content));
+      return;
+    }
+    
+    this.findingsMessage = { role: 'system', content };
+    this.addMessage(this.findingsMessage, { protected: true, kind: 'findings' });
+  }
+
+  /**
+   * Warn the model that it keeps repeating the same action
+   */
+  addLoopWarningMessage(action, count) {
+    const message = {
+      role: 'system',
+      content: `Warning: you have performed ${action.type} with the same parameters ${count} times and the page did not change. This is not making progress. Choose a different element or approach, scroll to reveal other content, or use 'done' with success=false if the task cannot be completed.`
+    };
+    this.addMessage(message, { kind: 'warning' });
+  }
+
+  /**
+   * Tell the model what a human decided about an action held for approval
+   */
+  addApprovalMessage(decision, original, action, comment) {
+    const note = comment ? ` Their comment: "${comment}".` : '';
+    let content;
+
+    if (decision === 'reject') {
+      content = `A human reviewer rejected your ${original.type} action ${JSON.stringify(original)}, so it was not performed.${note} Do not try it again unchanged; find another way to reach the goal, or use 'done' with success=false if the task cannot be completed without it.`;
+    } else if (decision === 'edit') {
+      content = `A human reviewer changed your ${original.type} action before it ran: ${JSON.stringify(action)} is performed instead of ${JSON.stringify(original)}.${note} Take the change into account in the next steps.`;
+    } else {
+      content = `A human reviewer approved your ${original.type} action ${JSON.stringify(original)}.${note}`;
+    }
+
+    this.addMessage({ role: 'system', content }, { kind: 'approval' });
+  }
+
+  /**
+   * Ask the model to stand in for a recorded step that could not be replayed
+   */
+  addReplayFallbackMessage(stepNumber, description, problem) {
+    const message = {
+      role: 'system',
+      content: `You are replaying a recorded run of this task. Recorded step ${stepNumber} was: ${description}. ${problem} Choose the single action that achieves this step on the current page; the replay continues with the next recorded step once it succeeds. Use 'done' with success=false if the step cannot be done.`
+    };
+    this.addMessage(message, { kind: 'warning' });
+  }
+
+  /**
+   * Ask the model for the final answer once every recorded step has been replayed
+   */
+  addReplayFinishMessage() {
+    const message = {
+      role: 'system',
+      content: 'Every recorded step of this task has been replayed. Call \'done\' with the result of the task, based on the current page and the findings collected in this run.'
+    };
+    this.addMessage(message, { kind: 'warning' });
+  }
+
   /**
    * Add navigation event to history
    */
@@ -111,23 +283,97 @@ Carefully analyze the webpage elements provided. Elements are identified by [xpa
       role: 'system', 
       content: `Page navigation occurred. New URL: ${url}` 
     };
-    this.addMessage(message);
+    this.addMessage(message, { kind: 'navigation' });
   }
 
   /**
    * Add a message to history with token counting
    */
-  addMessage(message) {
-    const tokenEstimate = this.estimateTokens(message.content);
-    const metadata = new MessageMetadata(tokenEstimate);
+  addMessage(message, options = {}) {
+    // Images are billed separately from text; budget roughly per image
+    const imageTokens = (message.images || []).length * IMAGE_TOKEN_ESTIMATE;
+    const tokenEstimate = this.estimateTokens(message.content) + imageTokens;
+    const metadata = new MessageMetadata(tokenEstimate, options);
     
     this.history.addMessage(message, metadata);
+  }
+
+  /**
+   * Bring history under the token budget before it is sent to the model.
+   * Everything older than the latest page state that is not pinned (system
+   * prompt, task, schema, findings) is folded into one summary message.
+   * summarizer is an optional async (text) => summary; without one, or if it
+   * fails, a rule-based summary is used. Oldest messages are trimmed only if
+   * the summary alone is not enough.
+   */
+  async compactIfNeeded(summarizer = null) {
+    if (this.history.getTotalTokens() <= this.maxTokens) {
+      return false;
+    }
+    
+    const entries = this.history.getEntries();
+    const latestState = this.history.findLast('state');
+    const cutoff = latestState ? entries.indexOf(latestState) : entries.length;
+    const compactable = entries
+      .slice(0, cutoff)
+      // The action summary is rebuilt every step and already capped
+      .filter(entry => !entry.metadata.protected && !['system', 'actions'].includes(entry.metadata.kind));
+    
+    // A lone summary has nothing left to fold into
+    if (compactable.length > 1 || (compactable.length === 1 && compactable[0].metadata.kind !== 'summary')) {
+      const transcript = compactable
+        .map(entry => `${entry.message.role}: ${entry.message.content}`)
+        .join('\n');
+      
+      let summary = null;
+      if (summarizer) {
+        try {
+          summary = await summarizer(transcript);
+        } catch (error) {
+          logger.warn('[MessageManager] LLM summary failed, using rule-based summary:', error.message);
+        }
+      }
+      if (!summary) {
+        summary = this.summarizeEntries(compactable);
+      }
+      if (summary.length > MAX_SUMMARY_CHARS) {
+        summary = `${summary.substring(0, MAX_SUMMARY_CHARS)}\n[truncated]`;
+      }
+      
+      const content = `Summary of earlier steps:\n${summary}`;
+      this.history.replaceEntries(
+        compactable,
+        { role: 'system', content },
+        new MessageMetadata(this.estimateTokens(content), { kind: 'summary' })
+      );
+    }
     
-    // Trim history if over token limit
     while (this.history.getTotalTokens() > this.maxTokens) {
-      const trimmed = this.history.trimIfNeeded(this.maxTokens);
-      if (!trimmed) break;
+      if (!this.history.trimIfNeeded(this.maxTokens)) break;
     }
+    
+    return true;
+  }
+
+  /**
+   * Rule-based summary: pages visited, action outcomes and notes, one line each
+   */
+  summarizeEntries(entries) {
+    const lines = [];
+    for (const entry of entries) {
+      const firstLine = (entry.message.content || '').split('\n')[0];
+      switch (entry.metadata.kind) {
+        case 'summary':
+          lines.push(entry.message.content.replace(/^Summary of earlier steps:\n/, ''));
+          break;
+        case 'state':
+          lines.push(firstLine.startsWith('[Earlier page state]') ? firstLine.replace('[Earlier page state]', 'Visited') : 'Visited a page');
+          break;
+        default:
+          lines.push(firstLine.substring(0, 200));
+      }
+    }
+    return lines.join('\n');
   }
 
   /**
@@ -143,17 +389,50 @@ Carefully analyze the webpage elements provided. Elements are identified by [xpa
   formatStateMessage(state) {
   let message = `Task: ${this.task}\n\n`;
   message += `Current URL: ${state.url}\nTitle: ${state.title}\n\n`;
+  if (state.screenshotImage) {
+    message += 'A screenshot of the visible page is attached. The numbered boxes match the [index] of each interactive element.\n\n';
+  }
+  
+  // A diff is only meaningful against the state the model last saw
+  const diff = state.data.diff;
+  if (diff && diff.baseHash && diff.baseHash === this.lastStateHash) {
+    message += this.formatDiff(diff);
+    message += '\n\nAll interactive elements (compact):\n';
+    message += compactElements(state.data.interactiveElements);
+    return message;
+  }
+  
   message += 'Interactive elements:\n';
   message += state.data.interactiveElements;
   return message;
 }
 
   /**
-   * Estimate tokens in text (simple approximation)
+   * Format added, changed and removed elements since the previous state
+   */
+  formatDiff(diff) {
+    if (diff.added.length === 0 && diff.changed.length === 0 && diff.removed.length === 0) {
+      return 'New since last step: nothing, the interactive elements are unchanged.';
+    }
+    
+    let text = `New since last step (${diff.added.length} added, ${diff.changed.length} changed, ${diff.removed.length} removed):`;
+    for (const line of diff.added) {
+      text += `\n+ ${line}`;
+    }
+    for (const line of diff.changed) {
+      text += `\n~ ${line}`;
+    }
+    for (const xpath of diff.removed) {
+      text += `\n- [xpath="${xpath}"]`;
+    }
+    return text;
+  }
+
+  /**
+   * Count tokens in text with the provider's tokenizer
    */
   estimateTokens(text) {
-    // Very rough estimate: ~4 characters per token
-    return Math.ceil(text.length / 4);
+    return this.tokenizer.count(text);
   }
   
   /**
@@ -175,7 +454,12 @@ Carefully analyze the webpage elements provided. Elements are identified by [xpa
     if (this.actionHistory.length === 0) return '';
     
     let summary = 'Previous actions:\n';
-    this.actionHistory.forEach((entry, index) => {
+    const firstListed = Math.max(0, this.actionHistory.length - MAX_SUMMARY_ACTIONS);
+    if (firstListed > 0) {
+      summary += `(${firstListed} earlier actions omitted)\n`;
+    }
+    this.actionHistory.slice(firstListed).forEach((entry, offset) => {
+      const index = firstListed + offset;
       let actionStr = `Step ${index + 1}: ${entry.action.type}`;
       
       // Add details based on action type
@@ -198,4 +482,20 @@ Carefully analyze the webpage elements provided. Elements are identified by [xpa
   }
 }
 
+/**
+ * Shorten formatted element lines: drop class and index attributes, clip text
+ */
+function compactElements(interactiveElements) {
+  return interactiveElements
+    .split('\n')
+    .map(line => line
+      .replace(/ class="[^"]*"/, '')
+      .replace(/ data-agent-idx="\d+"/, '')
+      .replace(/>([^<]*)<\/(\w+)>$/, (match, text, tag) => {
+        const clipped = text.length > COMPACT_TEXT_CHARS ? `${text.substring(0, COMPACT_TEXT_CHARS)}...` : text;
+        return `>${clipped}</${tag}>`;
+      }))
+    .join('\n');
+}
+
 module.exports = { MessageManager };
\ No newline at end of file
@@ -7,9 +7,15 @@
  * Message Metadata - Information about messages
  */
 class MessageMetadata {
-    constructor(tokens = 0) {
+    constructor(tokens = 0, options = {}) {
       this.tokens = tokens;
       this.timestamp = Date.now();
+      // Protected messages are never trimmed or summarized away
+      this.protected = options.protected || false;
+      // What the message holds: system, task, state, result, actions, summary, note...
+      this.kind = options.kind || 'note';
+      // Short stand-in for the content once the message is no longer current
+      this.digest = options.digest || null;
     }
   }
   
@@ -48,17 +54,104 @@ class MessageMetadata {
     }
   
     /**
-     * Remove oldest non-system message if over token limit
+     * Get entries ({ message, metadata }) in order
+     */
+    getEntries() {
+      return this.messages.slice();
+    }
+  
+    /**
+     * Find the most recent entry of a kind
+     */
+    findLast(kind) {
+      for (let i = this.messages.length - 1; i >= 0; i--) {
+        if (this.messages[i].metadata.kind === kind) {
+          return this.messages[i];
+        }
+      }
+      return null;
+    }
+  
+    /**
+     * Remove a message from history
+     */
+    removeMessage(message) {
+      const index = this.messages.findIndex(m => m.message === message);
+      if (index === -1) {
+        return false;
+      }
+      
+      const removed = this.messages.splice(index, 1)[0];
+      this.currentTokens -= removed.metadata.tokens;
+      return true;
+    }
+  
+    /**
+     * Replace several entries with a single message placed where the first one was
+     */
+    replaceEntries(entries, message, metadata) {
+      const indices = entries
+        .map(entry => this.messages.indexOf(entry))
+        .filter(index => index !== -1);
+      if (indices.length === 0) {
+        return false;
+      }
+      
+      const insertAt = Math.min(...indices);
+      for (const entry of entries) {
+        this.currentTokens -= entry.metadata.tokens;
+      }
+      this.messages = this.messages.filter(entry => !entries.includes(entry));
+      this.messages.splice(insertAt, 0, { message, metadata });
+      this.currentTokens += metadata.tokens;
+      return true;
+    }
+  
+    /**
+     * Replace the content of a message already in history
+     */
+    updateMessage(message, content, tokens) {
+      const entry = this.messages.find(m => m.message === message);
+      if (!entry) {
+        return false;
+      }
+      
+      entry.message.content = content;
+      this.currentTokens += tokens - entry.metadata.tokens;
+      entry.metadata.tokens = tokens;
+      return true;
+    }
+  
+    /**
+     * Drop image attachments from all messages and release their tokens
+     */
+    removeImages(tokensPerImage) {
+      for (const entry of this.messages) {
+        if (entry.message.images) {
+          const released = entry.message.images.length * tokensPerImage;
+          entry.metadata.tokens -= released;
+          this.currentTokens -= released;
+          delete entry.message.images;
+        }
+      }
+    }
+  
+    /**
+     * Last resort when summarizing is not enough: remove the oldest message
+     * that is not a system message, protected, or the latest page state
      */
     trimIfNeeded(maxTokens) {
       if (this.currentTokens <= maxTokens) {
         return false;
       }
   
-      // Find first non-system message index
+      const latestState = this.findLast('state');
+  
+      // Find first non-system, unprotected message index
       let indexToRemove = -1;
       for (let i = 0; i < this.messages.length; i++) {
-        if (this.messages[i].message.role !== 'system') {
+        const entry = this.messages[i];
+        if (entry.message.role !== 'system' && !entry.metadata.protected && entry !== latestState) {
           indexToRemove = i;
           break;
         }
@@ -0,0 +1,288 @@
+/**
+ * Replay
+ * Exports a successful task as a script of its actions and runs that script
+ * again without the model, which is only asked when the page has changed
+ */
+
+const { AgentService } = require('./service');
+const { ActionModel } = require('./views');
+const { findElement, formatLocator } = require('./locator');
+const logger = require('../utils/logger'); // Import our logger
+
+const SCRIPT_VERSION = 1;
+
+// How long to let a page settle before a step that does not match it is
+// handed to the model
+const MAX_SETTLE_WAITS = 2;
+const SETTLE_WAIT_SECONDS = 1;
+
+/**
+ * Script of a completed task:
+ * { version, task, sourceTaskId, createdAt, outputSchema, steps } where each
+ * step is { action, expectedUrl, locator } and locator describes the target
+ * element (see locator.js). A final done whose answer depends on the page
+ * (extracted content or structured data) is marked useModel.
+ */
+function exportScript(record) {
+  const agent = record.agent;
+  const steps = [];
+
+  for (const step of agent.history.steps) {
+    // Failed actions changed nothing, and settle waits are not part of the task
+    if (!step.action || !step.result || !step.result.success) continue;
+    if (step.replay && step.replay.mode === 'waiting') continue;
+
+    steps.push({
+      action: step.action,
+      expectedUrl: step.state ? step.state.url : null,
+      locator: step.locator || null
+    });
+  }
+
+  const last = steps[steps.length - 1];
+  if (last && last.action.type === 'done' &&
+      (agent.messageManager.getFindings().length > 0 || last.action.data !== undefined)) {
+    last.useModel = true;
+  }
+
+  return {
+    version: SCRIPT_VERSION,
+    task: record.task,
+    sourceTaskId: record.id,
+    createdAt: Date.now(),
+    outputSchema: record.options.outputSchema || null,
+    steps
+  };
+}
+
+/**
+ * Describe why a script cannot be replayed, or null if it can
+ */
+function validateScript(script) {
+  if (!script || typeof script !== 'object') {
+    return 'script must be an object';
+  }
+  if (script.version !== SCRIPT_VERSION) {
+    return `Unsupported script version ${script.version} (expected ${SCRIPT_VERSION})`;
+  }
+  if (typeof script.task !== 'string' || !script.task) {
+    return 'script.task must be a non-empty string';
+  }
+  if (!Array.isArray(script.steps) || script.steps.length === 0) {
+    return 'script.steps must be a non-empty array';
+  }
+
+  for (const [index, step] of script.steps.entries()) {
+    const where = `script.steps[${index}]`;
+    if (!step || typeof step !== 'object' || !step.action || typeof step.action !== 'object') {
+      return `${where}.action must be an object`;
+    }
+    const actionError = new ActionModel(step.action).getValidationError();
+    if (actionError) {
+      return `${where}.action: ${actionError}`;
+    }
+    if (step.expectedUrl != null && typeof step.expectedUrl !== 'string') {
+      return `${where}.expectedUrl must be a string`;
+    }
+    const locator = step.locator;
+    if (locator != null && (typeof locator !== 'object' || typeof locator.xpath !== 'string' ||
+        typeof locator.text !== 'string' || !locator.attributes || typeof locator.attributes !== 'object')) {
+      return `${where}.locator must be { xpath, tag, text, attributes }`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Agent that takes its actions from a script. A step runs as recorded when
+ * the page is the expected one and its element is still there (or can be
+ * found elsewhere on the page); otherwise the page gets a moment to settle
+ * and then the model is asked to stand in for that one step.
+ */
+class ReplayAgent extends AgentService {
+  /**
+   * config: AgentService config plus script (see exportScript)
+   */
+  constructor(config) {
+    super(config);
+    this.script = config.script;
+
+    this.replay = {
+      cursor: 0, // Index of the next recorded step
+      settleWaits: 0, // Waits spent on the current step
+      fallbackFor: null, // Step the model was last told to stand in for
+      current: null, // { step, mode } of the action in flight
+      counts: { recorded: 0, relocated: 0, model: 0 }
+    };
+  }
+
+  /**
+   * Next action from the script, or from the model when the step no longer fits the page
+   */
+  async getNextAction() {
+    if (this.checkLimits()) {
+      return null;
+    }
+
+    const index = this.replay.cursor;
+    const recorded = this.script.steps[index];
+
+    // The answer of a done that depends on the page has to be given afresh
+    if (!recorded || (recorded.action.type === 'done' && recorded.useModel)) {
+      if (this.replay.fallbackFor !== 'finish') {
+        this.replay.fallbackFor = 'finish';
+        this.messageManager.addReplayFinishMessage();
+      }
+      return this.askModel(index);
+    }
+
+    const resolved = this.resolveStep(recorded);
+    if (resolved.action) {
+      return this.useScriptedAction(index, resolved.action, resolved.mode);
+    }
+
+    if (this.replay.settleWaits < MAX_SETTLE_WAITS) {
+      this.replay.settleWaits++;
+      logger.log(`[Replay] Step ${index + 1} does not match the page yet (${resolved.problem}); waiting`);
+      return this.useScriptedAction(index, { type: 'wait', seconds: SETTLE_WAIT_SECONDS }, 'waiting');
+    }
+
+    logger.log(`[Replay] Step ${index + 1} handed to the model: ${resolved.problem}`);
+    if (this.replay.fallbackFor !== index) {
+      this.replay.fallbackFor = index;
+      this.messageManager.addReplayFallbackMessage(index + 1, this.describeStep(recorded), resolved.problem);
+    }
+    return this.askModel(index);
+  }
+
+  /**
+   * Check a recorded step against the current page. Returns { action, mode }
+   * when it can run, else { problem }
+   */
+  resolveStep(recorded) {
+    if (recorded.expectedUrl && !isSamePage(recorded.expectedUrl, this.currentUrl)) {
+      return { problem: `The page has drifted: it was recorded on ${recorded.expectedUrl} but the browser is on ${this.currentUrl}.` };
+    }
+
+    if (!recorded.locator) {
+      return { action: recorded.action, mode: 'recorded' };
+    }
+
+    const found = findElement(this.state.stepTrace.dom, recorded.locator);
+    if (!found) {
+      return { problem: `Its element ${formatLocator(recorded.locator)} could not be found on the page.` };
+    }
+    return {
+      action: { ...recorded.action, xpath: found.xpath },
+      mode: found.relocated ? 'relocated' : 'recorded'
+    };
+  }
+
+  /**
+   * Take an action without the model; the step's thought says where it came from
+   */
+  useScriptedAction(index, action, mode) {
+    const stepTrace = this.state.stepTrace;
+    stepTrace.llmStartedAt = stepTrace.llmEndedAt = Date.now();
+
+    this.replay.current = { step: index + 1, mode };
+    this.state.lastAction = action;
+    this.state.lastActionStateHash = this.state.currentStateHash;
+    this.state.lastParseAttempts = [];
+    this.state.lastThought = {
+      evaluation: null,
+      nextGoal: mode === 'waiting' ?
+        `Waiting for the page before replaying step ${index + 1}` :
+        `Replaying step ${index + 1} of ${this.script.steps.length}${mode === 'relocated' ? ' (element found elsewhere on the page)' : ''}`
+    };
+
+    logger.log(`[Replay] Step ${index + 1} (${mode}):`, JSON.stringify(action));
+    return action;
+  }
+
+  /**
+   * Let the model choose the action for a step
+   */
+  askModel(index) {
+    this.replay.current = { step: index + 1, mode: 'model' };
+    return super.getNextAction();
+  }
+
+  /**
+   * One line on what a recorded step did, for the model
+   */
+  describeStep(recorded) {
+    const { type, xpath, ...params } = recorded.action;
+    const target = recorded.locator ? ` on ${formatLocator(recorded.locator)}` : '';
+    const details = Object.keys(params).length > 0 ? ` ${JSON.stringify(params)}` : '';
+    const page = recorded.expectedUrl ? ` at ${recorded.expectedUrl}` : '';
+    return `${type}${target}${details}${page}`;
+  }
+
+  /**
+   * Move on to the next recorded step once the current one succeeded
+   */
+  async processActionResult(result, correlation = null) {
+    const current = this.replay.current;
+    await super.processActionResult(result, correlation);
+
+    if (current && current.mode !== 'waiting' && result.success) {
+      this.replay.counts[current.mode]++;
+      this.replay.cursor = current.step;
+      this.replay.settleWaits = 0;
+    }
+    this.replay.current = null;
+    return result;
+  }
+
+  /**
+   * Keep where each step's action came from in the history
+   */
+  getStepDetails(stepTrace) {
+    return { ...super.getStepDetails(stepTrace), replay: this.replay.current };
+  }
+
+  /**
+   * Recorded steps are known to make progress; only the model's choices are
+   * checked for loops
+   */
+  trackRepeatedAction(action) {
+    if (this.replay.current && this.replay.current.mode === 'model') {
+      super.trackRepeatedAction(action);
+    }
+  }
+
+  /**
+   * The final result, with how the steps were replayed
+   */
+  getFinalResult() {
+    const result = super.getFinalResult();
+    if (!this.isTaskComplete()) {
+      return result;
+    }
+    return {
+      ...result,
+      replay: { steps: this.script.steps.length, ...this.replay.counts }
+    };
+  }
+}
+
+/**
+ * Whether two URLs show the same page; query strings and fragments may differ
+ */
+function isSamePage(expected, actual) {
+  try {
+    const a = new URL(expected);
+    const b = new URL(actual);
+    return a.origin === b.origin && a.pathname === b.pathname;
+  } catch (error) {
+    return expected === actual;
+  }
+}
+
+module.exports = {
+  ReplayAgent,
+  exportScript,
+  validateScript,
+  SCRIPT_VERSION
+};
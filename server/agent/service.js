@@ -3,7 +3,16 @@
  * Core agent logic for processing web pages and determining actions
  */
 
-const { ActionModel } = require('./views');
+const crypto = require('crypto');
+const { ActionModel, AgentHistory } = require('./views');
+const { buildActionTools } = require('../llm/tools');
+const { parseLenientJSON } = require('../utils/jsonRepair');
+const { LLMError, ERROR_KINDS } = require('../llm/errors');
+const { sleep } = require('../llm/retry');
+const { calculateCost, DEFAULT_PRICES } = require('../llm/pricing');
+const { prepareScreenshot } = require('../utils/screenshot');
+const { compileSchema } = require('../utils/schemaValidator');
+const { describeElement } = require('./locator');
 const logger = require('../utils/logger'); // Import our logger
 
 class AgentService {
@@ -13,14 +22,78 @@ class AgentService {
     this.messageManager = config.messageManager;
     this.formatMessages = config.formatMessages;
     
+    // Ask for native tool calls when the client supports them, else JSON mode if available
+    this.useTools = Boolean(this.llm.capabilities && this.llm.capabilities.tools);
+    this.useJsonMode = !this.useTools && Boolean(this.llm.capabilities && this.llm.capabilities.jsonMode);
+    
+    // Optional JSON schema the done action's 'data' must match
+    this.outputSchema = config.outputSchema || null;
+    this.validateOutput = this.outputSchema ? compileSchema(this.outputSchema) : null;
+    this.tools = buildActionTools({ outputSchema: this.outputSchema });
+    
+    // Screenshots are only sent when the task asks for them and the model can see
+    this.useVision = Boolean(config.vision && this.llm.capabilities && this.llm.capabilities.vision);
+    if (config.vision && !this.useVision) {
+      logger.warn('[Agent] Vision requested but the LLM client does not accept images; using DOM only');
+    }
+    
+    // Per-task budgets; a falsy value disables the limit
+    this.limits = {
+      maxSteps: config.maxSteps ?? 50,
+      maxDurationMs: config.maxDurationMs ?? 10 * 60 * 1000,
+      maxConsecutiveFailures: config.maxConsecutiveFailures ?? 5,
+      repeatWarningThreshold: config.repeatWarningThreshold ?? 2,
+      maxRepeatedActions: config.maxRepeatedActions ?? 4
+    };
+    this.startTime = Date.now();
+    
+    // How many times to re-ask the model after an unusable response
+    this.maxParseRetries = config.maxParseRetries ?? 2;
+    
+    // How long to wait out a provider outage once the client's own retries are spent
+    this.llmWaitMs = config.llmWaitMs ?? 30000;
+    this.maxLLMWaits = config.maxLLMWaits ?? 1;
+    
+    // Optional ApprovalPolicy naming actions a human must approve first
+    this.approvalPolicy = config.approvalPolicy || null;
+    
+    // Let the model write the summary of compacted context instead of the rule-based one
+    this.summarizeWithLLM = config.summarizeWithLLM || false;
+    
+    // Step-by-step record of actions, results and parse attempts
+    this.history = new AgentHistory();
+    
+    // Optional TraceWriter persisting each step in full (see attachTrace)
+    this.trace = null;
+    
+    // Token usage summed over every LLM call in the task
+    this.priceTable = config.priceTable || DEFAULT_PRICES;
+    this.usage = { promptTokens: 0, completionTokens: 0, llmCalls: 0 };
+    
     this.state = {
       steps: 0,
       isComplete: false,
       lastResult: null,
       finalResult: null,
-      lastAction: null
+      lastAction: null,
+      lastThought: null, // Model's evaluation and next goal behind lastAction
+      lastApproval: null, // Human decision on lastAction, when it was held for approval
+      isPaused: false,
+      isCancelled: false,
+      consecutiveFailures: 0,
+      currentStateHash: null,
+      lastActionStateHash: null,
+      lastParseAttempts: [],
+      stepTrace: null, // Page, prompt and timings of the step in progress
+      stepUsage: { promptTokens: 0, completionTokens: 0, llmCalls: 0 }
     };
     
+    // Counts how often each action was taken on an identical page state
+    this.actionStateCounts = new Map();
+    
+    // Aborts the in-flight LLM request when the task is cancelled
+    this.abortController = null;
+    
     // Tracking navigation
     this.currentUrl = null;
     this.pageHistory = [];
@@ -40,8 +113,22 @@ class AgentService {
       this.currentUrl = domState.url;
     }
     
+    this.state.currentStateHash = this.hashState(domState);
+    
+    // Attach the highlighted screenshot for vision-capable models
+    if (this.useVision && domState.screenshot) {
+      try {
+        domState.screenshotImage = await prepareScreenshot(domState.screenshot, {
+          caption: domState.url
+        });
+      } catch (error) {
+        logger.warn(`[Agent] Could not prepare screenshot: ${error.message}`);
+      }
+    }
+    
     // Add the current state to message history
     this.messageManager.addStateMessage(domState);
+    this.state.stepTrace = { dom: domState, domAt: Date.now() };
     
     logger.log(`[Agent] Processed DOM state with ${domState.data.elementCount} elements at ${domState.url}`);
     return domState;
@@ -53,48 +140,156 @@ class AgentService {
   async getNextAction() {
     logger.log(`[Agent] Generating next action (step ${this.state.steps + 1})`);
     
-    // Get messages for LLM
-    const messages = this.messageManager.getMessages();
+    // Stop before spending another LLM call on an exhausted budget
+    if (this.checkLimits()) {
+      return null;
+    }
+    
+    this.abortController = new AbortController();
+    const signal = this.abortController.signal;
     
     try {
-      // Generate LLM response
-      const llmResponse = await this.callLLM(messages);
+      // Fold old context into a summary if the history is over budget
+      await this.messageManager.compactIfNeeded(
+        this.summarizeWithLLM ? text => this.summarizeContext(text, signal) : null
+      );
       
-      // Log the full LLM response for debugging
-      logger.log('[Agent] LLM response:', llmResponse);
+      // Get messages for LLM
+      const messages = this.messageManager.getMessages();
+      const stepTrace = this.state.stepTrace || {};
+      stepTrace.prompt = messages;
+      stepTrace.llmStartedAt = Date.now();
       
-      // Parse response into structured action
-      const action = this.parseActionFromLLM(llmResponse);
+      const action = await this.generateValidAction(messages, signal);
+      stepTrace.llmEndedAt = Date.now();
+      
+      // The model never produced a usable action; the task has been failed
+      if (!action) {
+        return null;
+      }
       
       // Store the action for history tracking
       this.state.lastAction = action;
+      this.state.lastActionStateHash = this.state.currentStateHash;
       
       // Log the action for debugging
       logger.log('[Agent] Next action:', JSON.stringify(action));
       
       return action;
     } catch (error) {
+      if (this.state.isCancelled) {
+        logger.log('[Agent] Action generation aborted by cancellation');
+        return null;
+      }
+      
+      // Provider errors that waiting cannot fix end the task with a clear reason
+      if (error instanceof LLMError) {
+        this.fail(`llm_${error.kind}`, error.message);
+        return null;
+      }
+      
       logger.error('[Agent] Error generating next action:', error);
       throw new Error(`Failed to generate next action: ${error.message}`);
+    } finally {
+      this.abortController = null;
     }
   }
   
   /**
-   * Process result of an executed action
+   * Ask the model for an action, repairing or re-prompting until it is valid.
+   * Returns null (and fails the task) once the retries are used up.
    */
-  async processActionResult(result) {
+  async generateValidAction(messages, signal) {
+    const attempts = [];
+    let promptMessages = messages;
+    
+    for (let attempt = 1; attempt <= this.maxParseRetries + 1; attempt++) {
+      // Generate LLM response
+      const llmResponse = await this.callLLM(promptMessages, signal);
+      
+      // Log the full LLM response for debugging
+      logger.log('[Agent] LLM response:', llmResponse);
+      
+      try {
+        // Parse response into structured action
+        const { action, repairs, thought } = this.parseActionFromLLM(llmResponse);
+        
+        attempts.push({ attempt, response: llmResponse, repairs, error: null });
+        this.state.lastParseAttempts = attempts;
+        this.state.lastThought = thought;
+        
+        if (repairs.length > 0) {
+          logger.log(`[Agent] Repaired model output: ${repairs.join(', ')}`);
+        }
+        
+        return action;
+      } catch (error) {
+        logger.warn(`[Agent] Unusable model response (attempt ${attempt}): ${error.message}`);
+        const correction = this.buildCorrectionPrompt(llmResponse, error.message);
+        attempts.push({ attempt, response: llmResponse, repairs: [], error: error.message, correction });
+        
+        // Re-ask with the exact problem; the correction is not kept in history
+        promptMessages = messages.concat([{
+          role: 'user',
+          content: correction
+        }]);
+      }
+    }
+    
+    this.state.lastParseAttempts = attempts;
+    this.fail('invalid_response', `Model returned no valid action after ${attempts.length} attempts: ${attempts[attempts.length - 1].error}`);
+    return null;
+  }
+  
+  /**
+   * Explain to the model why its last response was rejected
+   */
+  buildCorrectionPrompt(response, errorMessage) {
+    const previous = response.toolCalls && response.toolCalls.length > 0 ?
+      JSON.stringify(response.toolCalls) :
+      (response.content || '');
+    
+    const instruction = this.useTools ?
+      'Call exactly one of the provided tools with valid arguments.' :
+      'Respond with a single valid JSON object containing "current_state" and "action".';
+    
+    return `Your previous response could not be used.\n\nResponse:\n${previous.substring(0, 2000)}\n\nError: ${errorMessage}\n\n${instruction}`;
+  }
+  
+  /**
+   * Process result of an executed action.
+   * correlation holds the step id and the ids of the step's messages
+   * (requestDOM, domState, action, actionResult) for the step history.
+   */
+  async processActionResult(result, correlation = null) {
     // Update step counter
     this.state.steps++;
     
     // Store result
     this.state.lastResult = result;
     
-    // Add action to result for history tracking
+    // Add action and page to result for history tracking
     result.action = this.state.lastAction;
+    result.url = result.url || this.currentUrl;
     
     // Add result to history
     this.messageManager.addActionResultMessage(result);
     
+    const stepTrace = this.state.stepTrace || {};
+    const step = this.history.addStep(
+      { url: this.currentUrl, hash: this.state.lastActionStateHash },
+      this.state.lastAction,
+      result,
+      { ...this.getStepDetails(stepTrace), correlation }
+    );
+    if (this.trace) {
+      this.trace.writeStep({ number: this.state.steps, ...step, dom: stepTrace.dom, prompt: stepTrace.prompt });
+    }
+    this.state.stepTrace = null;
+    this.state.lastApproval = null;
+    this.state.lastParseAttempts = [];
+    this.state.stepUsage = { promptTokens: 0, completionTokens: 0, llmCalls: 0 };
+    
     logger.log(`[Agent] Processed action result for step ${this.state.steps}`);
     
     // Check if the action indicates task completion
@@ -102,14 +297,213 @@ class AgentService {
       this.state.isComplete = true;
       this.state.finalResult = {
         message: result.data.finalMessage || 'Task completed',
-        success: result.data.taskSuccess !== false
+        success: result.data.taskSuccess !== false,
+        data: result.action?.data ?? null
       };
       logger.log(`[Agent] Task marked as complete: ${this.state.finalResult.message}`);
+      return result;
+    }
+    
+    if (result.success) {
+      this.state.consecutiveFailures = 0;
+    } else {
+      this.state.consecutiveFailures++;
     }
     
+    this.trackRepeatedAction(result.action);
+    this.checkLimits();
+    
     return result;
   }
   
+  /**
+   * Check an action against the approval policy. Returns { rule, reason,
+   * element } when a human must approve it first, else null
+   */
+  checkApproval(action) {
+    if (!this.approvalPolicy) {
+      return null;
+    }
+    
+    const element = describeElement(this.state.stepTrace && this.state.stepTrace.dom, action);
+    const match = this.approvalPolicy.match(action, { url: this.currentUrl, element });
+    return match ? { ...match, element } : null;
+  }
+  
+  /**
+   * Take a human's decision on the held action ('approve', 'edit' or
+   * 'reject') into the conversation; an edited action replaces the model's
+   */
+  recordApproval(decision, action, comment) {
+    const original = this.state.lastAction;
+    if (decision === 'edit') {
+      this.state.lastAction = action;
+    }
+    this.state.lastApproval = { decision, comment: comment || null };
+    this.messageManager.addApprovalMessage(decision, original, action, comment);
+    logger.log(`[Agent] User decision on ${original.type}: ${decision}`);
+  }
+  
+  /**
+   * Per-step record kept in the history beside the action and its result
+   */
+  getStepDetails(stepTrace) {
+    return {
+      thought: this.state.lastThought,
+      parseAttempts: this.state.lastParseAttempts,
+      usage: this.state.stepUsage,
+      timings: this.getStepTimings(stepTrace),
+      approval: this.state.lastApproval,
+      // What the target element looked like, so a replay can find it again
+      locator: describeElement(stepTrace.dom, this.state.lastAction)
+    };
+  }
+  
+  /**
+   * Count repeats of an action on an unchanged page, warning the model first
+   * and failing the task once the repeat limit is hit
+   */
+  trackRepeatedAction(action) {
+    if (!action || !this.state.lastActionStateHash) {
+      return;
+    }
+    
+    const key = `${this.state.lastActionStateHash}:${this.getActionSignature(action)}`;
+    const count = (this.actionStateCounts.get(key) || 0) + 1;
+    this.actionStateCounts.set(key, count);
+    
+    const { repeatWarningThreshold, maxRepeatedActions } = this.limits;
+    
+    if (maxRepeatedActions && count >= maxRepeatedActions) {
+      this.fail('loop_detected', `Stopped after repeating ${action.type} ${count} times on an unchanged page`);
+    } else if (repeatWarningThreshold && count >= repeatWarningThreshold) {
+      logger.warn(`[Agent] Repeated action detected (${count}x): ${this.getActionSignature(action)}`);
+      this.messageManager.addLoopWarningMessage(action, count);
+    }
+  }
+  
+  /**
+   * Fail the task if any step, time or failure budget is exhausted
+   */
+  checkLimits() {
+    if (this.state.isComplete) {
+      return true;
+    }
+    
+    const { maxSteps, maxDurationMs, maxConsecutiveFailures } = this.limits;
+    
+    if (maxSteps && this.state.steps >= maxSteps) {
+      this.fail('max_steps', `Step limit reached after ${this.state.steps} steps`);
+    } else if (maxDurationMs && Date.now() - this.startTime >= maxDurationMs) {
+      this.fail('max_duration', `Time limit of ${Math.round(maxDurationMs / 1000)} seconds reached`);
+    } else if (maxConsecutiveFailures && this.state.consecutiveFailures >= maxConsecutiveFailures) {
+      this.fail('max_failures', `${this.state.consecutiveFailures} consecutive actions failed`);
+    }
+    
+    return this.state.isComplete;
+  }
+  
+  /**
+   * End the task as unsuccessful with a reason for getFinalResult
+   */
+  fail(reason, message) {
+    if (this.state.isComplete) {
+      return;
+    }
+    
+    this.state.isComplete = true;
+    this.state.finalResult = {
+      message: `Task failed: ${message}`,
+      success: false,
+      reason
+    };
+    
+    logger.log(`[Agent] ${this.state.finalResult.message}`);
+  }
+  
+  /**
+   * Build a stable identifier for an action and its parameters
+   */
+  getActionSignature(action) {
+    const { type, xpath, index, text, goal, direction, amount } = action;
+    return JSON.stringify({ type, xpath, index, text, goal, direction, amount });
+  }
+  
+  /**
+   * Hash the parts of a DOM state the model acts on
+   */
+  hashState(domState) {
+    return crypto
+      .createHash('sha1')
+      .update(`${domState.url}\n${domState.data?.interactiveElements || ''}`)
+      .digest('hex');
+  }
+  
+  /**
+   * Cancel the task, aborting any in-flight LLM call
+   */
+  cancel(reason = 'Task cancelled by user') {
+    if (this.state.isCancelled || this.state.isComplete) {
+      return;
+    }
+    
+    this.state.isCancelled = true;
+    this.state.isPaused = false;
+    this.state.isComplete = true;
+    this.state.finalResult = {
+      message: reason,
+      success: false,
+      cancelled: true
+    };
+    
+    if (this.abortController) {
+      this.abortController.abort();
+    }
+    
+    logger.log(`[Agent] Task cancelled: ${reason}`);
+  }
+  
+  /**
+   * Fail the task and abort any in-flight LLM call
+   */
+  abort(reason, message) {
+    this.fail(reason, message);
+    
+    if (this.abortController) {
+      this.abortController.abort();
+    }
+  }
+  
+  /**
+   * Hold the loop between steps; message history is kept
+   */
+  pause() {
+    this.state.isPaused = true;
+    logger.log(`[Agent] Task paused after step ${this.state.steps}`);
+  }
+  
+  /**
+   * Continue a paused task
+   */
+  resume() {
+    this.state.isPaused = false;
+    logger.log(`[Agent] Task resumed at step ${this.state.steps + 1}`);
+  }
+  
+  /**
+   * Check if the task is paused
+   */
+  isPaused() {
+    return this.state.isPaused;
+  }
+  
+  /**
+   * Check if the task was cancelled
+   */
+  isCancelled() {
+    return this.state.isCancelled;
+  }
+  
   /**
    * Check if the task is complete
    */
@@ -117,6 +511,13 @@ class AgentService {
     return this.state.isComplete;
   }
   
+  /**
+   * The model's evaluation and next goal for the latest action, if it gave them
+   */
+  getLastThought() {
+    return this.state.lastThought;
+  }
+  
   /**
    * Get the final result of the task
    */
@@ -125,7 +526,68 @@ class AgentService {
       return { message: 'Task not complete', success: false };
     }
     
-    return this.state.finalResult;
+    return {
+      ...this.state.finalResult,
+      findings: this.messageManager.getFindings()
+    };
+  }
+  
+  /**
+   * Record every step of the task, in full, to a TraceWriter
+   */
+  attachTrace(trace) {
+    this.trace = trace;
+  }
+  
+  /**
+   * Write the outcome to the trace, with any step the task ended in the
+   * middle of (no valid response, a timeout, cancellation)
+   */
+  finishTrace(status, result) {
+    if (!this.trace) {
+      return;
+    }
+    
+    const pending = this.state.stepTrace;
+    if (pending && pending.prompt) {
+      this.trace.writeStep({
+        number: this.state.steps + 1,
+        incomplete: true,
+        state: { url: this.currentUrl, hash: this.state.currentStateHash },
+        action: pending.llmEndedAt ? this.state.lastAction : null,
+        result: null,
+        thought: pending.llmEndedAt ? this.state.lastThought : null,
+        parseAttempts: this.state.lastParseAttempts,
+        usage: this.state.stepUsage,
+        timings: this.getStepTimings(pending),
+        dom: pending.dom,
+        prompt: pending.prompt,
+        timestamp: Date.now()
+      });
+    }
+    
+    this.trace.finish(status, {
+      ...result,
+      totalSteps: this.history.steps.length,
+      totalDurationMs: this.history.getTotalDuration()
+    });
+  }
+  
+  /**
+   * Durations of a step: the model's decision, the action in the page and
+   * the whole step from the page state arriving
+   */
+  getStepTimings(stepTrace) {
+    if (!stepTrace.domAt) {
+      return null;
+    }
+    
+    const now = Date.now();
+    return {
+      llmMs: stepTrace.llmEndedAt ? stepTrace.llmEndedAt - stepTrace.llmStartedAt : null,
+      actionMs: stepTrace.llmEndedAt ? now - stepTrace.llmEndedAt : null,
+      totalMs: now - stepTrace.domAt
+    };
   }
   
   /**
@@ -143,71 +605,175 @@ class AgentService {
   /**
    * Call the LLM with the current conversation
    */
-  async callLLM(messages) {
-    try {
-      // Format messages if formatter is provided
-      const formattedMessages = this.formatMessages ? 
-        this.formatMessages(messages) : 
-        messages;
+  async callLLM(messages, signal) {
+    // Format messages if formatter is provided
+    const formattedMessages = this.formatMessages ? 
+      this.formatMessages(messages) : 
+      messages;
+    
+    for (let wait = 0; ; wait++) {
+      try {
+        const response = await this.llm.generateResponse(formattedMessages, {
+          signal,
+          tools: this.useTools ? this.tools : null,
+          jsonMode: this.useJsonMode
+        });
+        this.recordUsage(response.usage);
+        return response;
+      } catch (error) {
+        logger.error('LLM call failed:', error.message);
         
-      const response = await this.llm.generateResponse(formattedMessages);
-      return response;
-    } catch (error) {
-      logger.error('LLM call failed:', error);
-      throw new Error(`LLM call failed: ${error.message}`);
+        if (!(error instanceof LLMError)) {
+          throw new Error(`LLM call failed: ${error.message}`);
+        }
+        
+        // Retryable errors reach here only after the client's retries; wait
+        // out the outage before giving up on the task
+        if (error.kind !== ERROR_KINDS.RETRYABLE || wait >= this.maxLLMWaits) {
+          throw error;
+        }
+        
+        const delay = error.retryAfterMs ?? this.llmWaitMs;
+        logger.log(`[Agent] LLM unavailable, waiting ${delay}ms before retrying`);
+        await sleep(delay, signal, 'LLM');
+      }
     }
   }
   
   /**
-   * Parse the LLM response into an action
+   * Ask the model to condense earlier steps of the conversation
+   */
+  async summarizeContext(transcript, signal) {
+    const response = await this.llm.generateResponse([
+      {
+        role: 'system',
+        content: 'Summarize the following browser agent history in a few short lines. Keep pages visited, what was tried, what worked or failed, and any values found. Do not add anything else.'
+      },
+      { role: 'user', content: transcript }
+    ], { signal });
+    this.recordUsage(response.usage);
+    return (response.content || '').trim();
+  }
+  
+  /**
+   * Add one LLM call's token counts to the step and task totals
+   */
+  recordUsage(usage = {}) {
+    for (const totals of [this.usage, this.state.stepUsage]) {
+      totals.promptTokens += usage.promptTokens || 0;
+      totals.completionTokens += usage.completionTokens || 0;
+      totals.llmCalls++;
+    }
+  }
+  
+  /**
+   * Token totals and cost (USD, null when the model has no price) for the task
+   */
+  getUsage() {
+    return {
+      ...this.usage,
+      totalTokens: this.usage.promptTokens + this.usage.completionTokens,
+      cost: calculateCost(this.llm.model, this.usage, this.priceTable)
+    };
+  }
+  
+  /**
+   * Parse the LLM response ({ content, toolCalls }) into an action.
+   * Returns { action, repairs, thought }; throws with the validation error on failure.
    */
   parseActionFromLLM(response) {
-    try {
-      // Extract JSON if it's embedded in markdown or text
-      let actionJson = response;
-      
-      // Handle responses that might have markdown code blocks
-      if (response.includes('```json')) {
-        const jsonMatch = response.match(/```json\n([\s\S]*?)\n```/);
-        if (jsonMatch && jsonMatch[1]) {
-          actionJson = jsonMatch[1];
-        }
-      } else if (response.includes('```')) {
-        const codeMatch = response.match(/```\n?([\s\S]*?)\n?```/);
-        if (codeMatch && codeMatch[1]) {
-          actionJson = codeMatch[1];
-        }
+    let actionData;
+    let currentState;
+    let repairs = [];
+    
+    if (response.toolCalls && response.toolCalls.length > 0) {
+      ({ actionData, currentState } = this.parseToolCall(response.toolCalls[0]));
+    } else {
+      ({ actionData, currentState, repairs } = this.parseTextResponse(response.content || ''));
+    }
+    
+    // Validate the arguments against the action model
+    const actionModel = new ActionModel(actionData);
+    const validationError = actionModel.getValidationError();
+    if (validationError) {
+      throw new Error(validationError);
+    }
+    
+    // A successful done must carry data matching the caller's schema
+    if (actionModel.type === 'done' && this.validateOutput && actionModel.success !== false) {
+      const { valid, error } = this.validateOutput(actionModel.data);
+      if (!valid) {
+        throw new Error(`done 'data' does not match the output schema: ${error}`);
       }
-      
-      // Parse the JSON structure
-      const parsed = JSON.parse(actionJson);
-      
-      // Validate response structure
-      if (!parsed.action || !parsed.current_state) {
-        throw new Error('Invalid response structure: missing action or current_state');
+    }
+    
+    return { action: actionModel.toJSON(), repairs, thought: this.parseThought(currentState) };
+  }
+  
+  /**
+   * Keep the model's reasoning from current_state: { evaluation, nextGoal }
+   */
+  parseThought(currentState) {
+    if (!currentState || typeof currentState !== 'object') {
+      return null;
+    }
+    
+    const text = value => (typeof value === 'string' && value.trim() ? value.trim() : null);
+    return {
+      evaluation: text(currentState.evaluation),
+      nextGoal: text(currentState.next_goal)
+    };
+  }
+  
+  /**
+   * Map a native tool call onto action data. Returns { actionData, currentState }
+   */
+  parseToolCall(toolCall) {
+    if (!toolCall.arguments || typeof toolCall.arguments !== 'object') {
+      throw new Error(`Tool ${toolCall.name} was called with malformed arguments`);
+    }
+    
+    // current_state carries reasoning only, not action parameters
+    const { current_state, ...params } = toolCall.arguments;
+    return { actionData: { ...params, type: toolCall.name }, currentState: current_state };
+  }
+  
+  /**
+   * Extract action data from a JSON text response (models without tool calling).
+   * Returns { actionData, currentState, repairs }
+   */
+  parseTextResponse(response) {
+    // Extract JSON if it's embedded in markdown or text
+    let actionJson = response;
+    
+    // Handle responses that might have markdown code blocks
+    if (response.includes('```json')) {
+      const jsonMatch = response.match(/```json\n([\s\S]*?)\n```/);
+      if (jsonMatch && jsonMatch[1]) {
+        actionJson = jsonMatch[1];
       }
-      
-      // Map to our action model
-      const actionModel = {
-        type: parsed.action.type,
-        ...parsed.action
-      };
-      
-      // Validate xpath for element actions
-      if ((actionModel.type === 'click_element' || actionModel.type === 'input_text') && 
-          !actionModel.xpath && actionModel.index === undefined) {
-        throw new Error(`Action type ${actionModel.type} requires 'xpath' parameter`);
+    } else if (response.includes('```')) {
+      const codeMatch = response.match(/```\n?([\s\S]*?)\n?```/);
+      if (codeMatch && codeMatch[1]) {
+        actionJson = codeMatch[1];
       }
-      
-      return actionModel;
+    }
+    
+    // Parse the JSON structure, repairing near-misses
+    let parsed;
+    let repairs;
+    try {
+      ({ value: parsed, repairs } = parseLenientJSON(actionJson));
     } catch (error) {
-      logger.error('Failed to parse LLM response:', error);
-      // Fallback to a simple error action
-      return {
-        type: 'error',
-        message: `Failed to parse response: ${error.message}`
-      };
+      throw new Error(`Response is not valid JSON: ${error.message}`);
     }
+    
+    // Validate response structure
+    if (!parsed.action || !parsed.current_state) {
+      throw new Error('Invalid response structure: missing action or current_state');
+    }
+    
+    return { actionData: { ...parsed.action }, currentState: parsed.current_state, repairs };
   }
 }
 
@@ -0,0 +1,277 @@
+/**
+ * Session
+ * Per-connection task state machine
+ */
+
+const crypto = require('crypto');
+const logger = require('../utils/logger'); // Import our logger
+
+const SESSION_STATES = {
+  IDLE: 'idle',                 // No task yet
+  AWAITING_DOM: 'awaiting_dom', // DOM state requested from the extension
+  THINKING: 'thinking',         // LLM is choosing the next action
+  AWAITING_APPROVAL: 'awaiting_approval', // Action held until a human decides on it
+  ACTING: 'acting',             // Action sent, waiting for its result
+  PAUSED: 'paused',             // Held between steps by the user
+  DONE: 'done',                 // Task finished successfully
+  FAILED: 'failed'              // Task failed, hit a limit or was cancelled
+};
+
+const { IDLE, AWAITING_DOM, THINKING, AWAITING_APPROVAL, ACTING, PAUSED, DONE, FAILED } = SESSION_STATES;
+
+// Legal transitions; a finished session can start another task
+const TRANSITIONS = {
+  [IDLE]: [AWAITING_DOM],
+  [AWAITING_DOM]: [AWAITING_DOM, THINKING, PAUSED, DONE, FAILED],
+  [THINKING]: [AWAITING_APPROVAL, ACTING, DONE, FAILED],
+  [AWAITING_APPROVAL]: [ACTING, AWAITING_DOM, PAUSED, DONE, FAILED],
+  [ACTING]: [AWAITING_DOM, PAUSED, DONE, FAILED],
+  [PAUSED]: [AWAITING_DOM, DONE, FAILED],
+  [DONE]: [AWAITING_DOM],
+  [FAILED]: [AWAITING_DOM]
+};
+
+// Message type that answers each request type
+const REPLY_TYPES = {
+  requestDOM: 'domState',
+  action: 'actionResult'
+};
+
+// Default time allowed in each waiting state
+const DEFAULT_TIMEOUTS = {
+  [AWAITING_DOM]: 15000,
+  [THINKING]: 5 * 60 * 1000,
+  [AWAITING_APPROVAL]: 10 * 60 * 1000,
+  [ACTING]: 60000
+};
+
+class Session {
+  /**
+   * options: { timeouts: { awaiting_dom, thinking, awaiting_approval, acting }
+   *            in ms (0 disables),
+   *            onTimeout: (session, state) => void }
+   */
+  constructor(id, options = {}) {
+    this.id = id;
+    this.state = IDLE;
+    this.enteredAt = Date.now();
+    this.timeouts = { ...DEFAULT_TIMEOUTS, ...options.timeouts };
+    this.onTimeout = options.onTimeout || null;
+    this.timer = null;
+
+    // Task data owned by the session
+    this.agent = null;
+    this.task = null;
+    this.taskId = null; // Id of the current task in the task registry
+    this.tabId = null;
+    this.user = null; // Name of the auth token the client connected with
+    this.lastDomState = null;
+    this.protocolVersion = null; // Set by the client's hello
+    this.domRequests = 0; // DOM requests made for the current step
+    this.approval = null; // Action held for approval: { id, step, action, rule, reason, element, url, requestedAt }
+    
+    // Correlation: the current step, the ids of its messages, and the
+    // request still waiting for a reply ({ type, messageId, stepId })
+    this.stepId = 0;
+    this.stepMessages = {};
+    this.pending = null;
+    
+    // Direct commands from controllers, outside any task: messageId -> waiter
+    this.commands = new Map();
+    this.startTime = Date.now();
+  }
+
+  /**
+   * Check whether the session is in one of the given states
+   */
+  is(...states) {
+    return states.includes(this.state);
+  }
+
+  /**
+   * A task is running (possibly paused)
+   */
+  isActive() {
+    return !this.is(IDLE, DONE, FAILED);
+  }
+
+  /**
+   * Check whether moving to a state is legal from the current one
+   */
+  canTransition(next) {
+    return TRANSITIONS[this.state].includes(next);
+  }
+
+  /**
+   * Move to a new state. Illegal transitions are logged and refused.
+   * Returns true if the transition happened.
+   */
+  transition(next, reason = '') {
+    if (!this.canTransition(next)) {
+      logger.warn(`[Session ${this.id}] Illegal transition ${this.state} -> ${next}${reason ? ` (${reason})` : ''}`);
+      return false;
+    }
+
+    const previous = this.state;
+    const elapsed = Date.now() - this.enteredAt;
+
+    this.clearTimer();
+    this.state = next;
+    this.enteredAt = Date.now();
+
+    logger.log(`[Session ${this.id}] ${previous} -> ${next} after ${elapsed}ms${reason ? ` (${reason})` : ''}`);
+
+    this.startTimer(next);
+    return true;
+  }
+
+  /**
+   * Arm the timeout for a waiting state
+   */
+  startTimer(state) {
+    const timeoutMs = this.timeouts[state];
+    if (!timeoutMs) {
+      return;
+    }
+
+    this.timer = setTimeout(() => {
+      this.timer = null;
+
+      // A transition since arming means the wait is already over
+      if (this.state !== state) {
+        return;
+      }
+
+      logger.warn(`[Session ${this.id}] Timed out in ${state} after ${timeoutMs}ms`);
+      if (this.onTimeout) {
+        this.onTimeout(this, state);
+      }
+    }, timeoutMs);
+  }
+
+  /**
+   * Cancel the pending timeout, if any
+   */
+  clearTimer() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Start a new step for the current task and return its id
+   */
+  nextStep() {
+    this.stepId++;
+    this.stepMessages = {};
+    this.domRequests = 0;
+    return this.stepId;
+  }
+
+  /**
+   * Reset step numbering for a new task
+   */
+  resetSteps() {
+    this.stepId = 0;
+    this.stepMessages = {};
+    this.pending = null;
+  }
+
+  /**
+   * Create the ids for an outgoing request ('requestDOM' or 'action') and
+   * remember it as the one awaiting a reply
+   */
+  expectReply(type) {
+    const messageId = crypto.randomUUID();
+    this.pending = { type, messageId, stepId: this.stepId };
+    this.stepMessages[type] = messageId;
+    return { stepId: this.stepId, messageId };
+  }
+
+  /**
+   * Check whether a message answers the outstanding request of a type.
+   * DOM states may answer any DOM request of the current step; action
+   * results must answer the exact action.
+   */
+  isReplyTo(type, data) {
+    if (!this.pending || this.pending.type !== type || !data.replyTo) {
+      return false;
+    }
+    if (type === 'requestDOM') {
+      return data.stepId === this.stepId;
+    }
+    return data.replyTo === this.pending.messageId;
+  }
+
+  /**
+   * Check whether an unsolicited state was taken right after the previous
+   * step's action while this step's DOM request is outstanding. Extensions
+   * that drop requests while an action settles send only this state.
+   */
+  isStateAfterLastAction(data) {
+    return Boolean(this.pending) && this.pending.type === 'requestDOM' &&
+      data.reason === 'afterAction' && this.stepId > 1 && data.stepId === this.stepId - 1;
+  }
+
+  /**
+   * Record the id of a reply and clear the outstanding request
+   */
+  acceptReply(type, data) {
+    this.stepMessages[REPLY_TYPES[type]] = data.messageId || null;
+    this.pending = null;
+  }
+
+  /**
+   * Create the ids for a direct command and a promise of its reply. Commands
+   * run outside task steps (stepId 0), so their replies never match a step.
+   * The promise rejects after timeoutMs (0 waits indefinitely).
+   */
+  expectCommandReply(timeoutMs) {
+    const messageId = crypto.randomUUID();
+    const reply = new Promise((resolve, reject) => {
+      const timer = timeoutMs ? setTimeout(() => {
+        this.commands.delete(messageId);
+        reject(new Error(`No reply from client ${this.id} after ${timeoutMs}ms`));
+      }, timeoutMs) : null;
+
+      this.commands.set(messageId, { resolve, reject, timer });
+    });
+
+    return { stepId: 0, messageId, reply };
+  }
+
+  /**
+   * Hand a message to the direct command it answers. Returns false if it
+   * answers none, so it can be handled as part of a task.
+   */
+  resolveCommand(data) {
+    const waiter = data.replyTo && this.commands.get(data.replyTo);
+    if (!waiter) {
+      return false;
+    }
+
+    clearTimeout(waiter.timer);
+    this.commands.delete(data.replyTo);
+    waiter.resolve(data);
+    return true;
+  }
+
+  /**
+   * Release timers and fail outstanding commands when the connection closes
+   */
+  close() {
+    this.clearTimer();
+
+    for (const waiter of this.commands.values()) {
+      clearTimeout(waiter.timer);
+      waiter.reject(new Error(`Client ${this.id} disconnected`));
+    }
+    this.commands.clear();
+  }
+}
+
+module.exports = {
+  Session,
+  SESSION_STATES
+};
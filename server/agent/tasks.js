@@ -0,0 +1,158 @@
+/**
+ * Task Registry
+ * Keeps a record of every task so it can be looked up by id
+ */
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+
+const TASK_STATUS = {
+  RUNNING: 'running',
+  PAUSED: 'paused',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+/**
+ * Emits 'taskEvent' ({ taskId, event, timestamp, ...details }) as tasks
+ * progress, for controllers following their tasks
+ */
+class TaskRegistry extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.tasks = new Map();
+    // Oldest finished tasks are forgotten beyond this many records
+    this.maxTasks = options.maxTasks || 100;
+  }
+
+  /**
+   * Register a new task and return its record
+   */
+  create({ task, clientId, source, options }) {
+    const record = {
+      id: crypto.randomUUID(),
+      task,
+      clientId,
+      source: source || 'extension',
+      options: options || {},
+      status: TASK_STATUS.RUNNING,
+      createdAt: Date.now(),
+      finishedAt: null,
+      result: null,
+      agent: null,
+      session: null
+    };
+
+    this.tasks.set(record.id, record);
+    this.prune();
+    return record;
+  }
+
+  /**
+   * Get a task record by id
+   */
+  get(id) {
+    return this.tasks.get(id) || null;
+  }
+
+  /**
+   * Update the status of a running task
+   */
+  setStatus(id, status) {
+    const record = this.get(id);
+    if (record && !this.isFinished(record) && record.status !== status) {
+      record.status = status;
+      this.publish(id, 'status', { status });
+    }
+  }
+
+  /**
+   * Announce progress of a task to listeners
+   */
+  publish(id, event, details = {}) {
+    this.emit('taskEvent', {
+      taskId: id,
+      event,
+      ...details,
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * Record the outcome of a task. result: { message, success, reason, data, findings, usage }
+   */
+  finish(id, status, result) {
+    const record = this.get(id);
+    if (!record || this.isFinished(record)) {
+      return;
+    }
+
+    record.status = status;
+    record.result = result;
+    record.finishedAt = Date.now();
+    record.session = null;
+
+    this.publish(id, 'finished', { status, result });
+  }
+
+  /**
+   * Check whether a task has ended
+   */
+  isFinished(record) {
+    return [TASK_STATUS.COMPLETED, TASK_STATUS.FAILED, TASK_STATUS.CANCELLED].includes(record.status);
+  }
+
+  /**
+   * Public view of a task: status, live session state (with any action held
+   * for approval), steps and result
+   */
+  describe(record) {
+    const agent = record.agent;
+    const steps = agent ? agent.history.steps.map((step, index) => ({
+      step: index + 1,
+      stepId: step.correlation ? step.correlation.stepId : null,
+      url: step.state ? step.state.url : null,
+      action: step.action,
+      success: step.result ? step.result.success : null,
+      error: step.result ? step.result.error || null : null,
+      usage: step.usage,
+      replay: step.replay || null,
+      timestamp: step.timestamp
+    })) : [];
+
+    return {
+      id: record.id,
+      task: record.task,
+      clientId: record.clientId,
+      source: record.source,
+      status: record.status,
+      state: record.session ? record.session.state : null,
+      approval: record.session ? record.session.approval : null,
+      createdAt: record.createdAt,
+      finishedAt: record.finishedAt,
+      steps,
+      usage: agent ? agent.getUsage() : null,
+      result: record.result
+    };
+  }
+
+  /**
+   * Drop the oldest finished tasks once over the limit
+   */
+  prune() {
+    for (const [id, record] of this.tasks) {
+      if (this.tasks.size <= this.maxTasks) {
+        break;
+      }
+      if (this.isFinished(record)) {
+        this.tasks.delete(id);
+      }
+    }
+  }
+}
+
+module.exports = {
+  TaskRegistry,
+  TASK_STATUS
+};
@@ -0,0 +1,160 @@
+/**
+ * Trace Writer
+ * Persists every step of a task (prompt, raw responses, page, action, result,
+ * timings, screenshot) so a run can be stepped through afterwards
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger'); // Import our logger
+
+const DEFAULT_TRACES_DIR = path.join(__dirname, '../traces');
+const DEFAULT_MAX_RUNS = 50;
+
+/**
+ * One directory per run: trace.jsonl holds a 'task' record, one 'step'
+ * record per step and a final 'result' record; screenshots sit beside it
+ * as step-NNN.<ext>
+ */
+class TraceWriter {
+  /**
+   * options: { taskId, task, options (task options), dir, maxRuns (runs
+   * kept in dir, this one included and at least 1; older ones are deleted) }
+   */
+  constructor({ taskId, task, options = {}, dir = DEFAULT_TRACES_DIR, maxRuns = DEFAULT_MAX_RUNS }) {
+    const startedAt = Date.now();
+    this.name = `${new Date(startedAt).toISOString().replace(/:/g, '-')}_${taskId}`;
+    this.dir = path.join(dir, this.name);
+    this.file = path.join(this.dir, 'trace.jsonl');
+    this.failed = false;
+    this.finished = false;
+
+    try {
+      fs.mkdirSync(this.dir, { recursive: true });
+    } catch (error) {
+      this.disable(error);
+    }
+
+    this.write({ type: 'task', taskId, task, options, startedAt });
+    if (!this.failed) {
+      pruneRuns(dir, maxRuns, this.name);
+    }
+  }
+
+  /**
+   * Record a step. step: { number, state, action, result, thought,
+   * parseAttempts, usage, correlation, timings, locator, replay, dom, prompt,
+   * timestamp }
+   */
+  writeStep(step) {
+    const { dom, prompt, ...rest } = step;
+    const screenshot = dom && dom.screenshot ? this.saveScreenshot(step.number, dom.screenshot) : null;
+
+    this.write({
+      type: 'step',
+      ...rest,
+      dom: dom ? {
+        url: dom.url,
+        title: dom.title,
+        reason: dom.reason,
+        elementCount: dom.data.elementCount,
+        interactiveElements: dom.data.interactiveElements,
+        diff: dom.data.diff || null
+      } : null,
+      screenshot,
+      prompt: prompt ? prompt.map(stripImages) : null
+    });
+  }
+
+  /**
+   * Record the outcome and stop writing
+   */
+  finish(status, result) {
+    if (this.finished) {
+      return;
+    }
+    this.write({ type: 'result', status, ...result, finishedAt: Date.now() });
+    this.finished = true;
+  }
+
+  /**
+   * Write a screenshot data URL next to the trace; returns its file name
+   */
+  saveScreenshot(number, dataUrl) {
+    const match = /^data:image\/(\w+);base64,(.+)$/.exec(dataUrl);
+    if (!match || this.failed) {
+      return null;
+    }
+
+    const fileName = `step-${String(number).padStart(3, '0')}.${match[1] === 'jpeg' ? 'jpg' : match[1]}`;
+    try {
+      fs.writeFileSync(path.join(this.dir, fileName), Buffer.from(match[2], 'base64'));
+      return fileName;
+    } catch (error) {
+      logger.warn(`[Trace] Could not save screenshot: ${error.message}`);
+      return null;
+    }
+  }
+
+  write(record) {
+    if (this.failed || this.finished) {
+      return;
+    }
+    try {
+      fs.appendFileSync(this.file, JSON.stringify(record) + '\n');
+    } catch (error) {
+      this.disable(error);
+    }
+  }
+
+  /**
+   * A trace must never break the task it records; stop after the first error
+   */
+  disable(error) {
+    this.failed = true;
+    logger.warn(`[Trace] Tracing disabled for ${this.name}: ${error.message}`);
+  }
+}
+
+/**
+ * Delete all but the newest maxRuns run directories, never the current one;
+ * names start with the start time, so they sort oldest first
+ */
+function pruneRuns(dir, maxRuns, current) {
+  const keep = Number.isFinite(maxRuns) ? Math.max(1, Math.floor(maxRuns)) : DEFAULT_MAX_RUNS;
+  let runs;
+  try {
+    runs = fs.readdirSync(dir)
+      .filter(name => name !== current && fs.existsSync(path.join(dir, name, 'trace.jsonl')))
+      .sort();
+  } catch (error) {
+    logger.warn(`[Trace] Could not list old traces: ${error.message}`);
+    return;
+  }
+
+  for (const name of runs.slice(0, Math.max(0, runs.length - (keep - 1)))) {
+    try {
+      fs.rmSync(path.join(dir, name), { recursive: true, force: true });
+    } catch (error) {
+      logger.warn(`[Trace] Could not delete old trace ${name}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Replace image payloads in a prompt message with their size
+ */
+function stripImages(message) {
+  if (!message.images) {
+    return message;
+  }
+  return {
+    ...message,
+    images: message.images.map(image => ({ mimeType: image.mimeType, bytes: Math.round(image.data.length * 3 / 4) }))
+  };
+}
+
+module.exports = {
+  TraceWriter,
+  DEFAULT_TRACES_DIR
+};
@@ -30,34 +30,71 @@ class ActionModel {
      * Check if action is valid
      */
     isValid() {
+      return this.getValidationError() === null;
+    }
+    
+    /**
+     * Describe why the action's arguments are invalid, or null if they are valid
+     */
+    getValidationError() {
       // Must have a type
       if (!this.type) {
-        return false;
+        return 'Action is missing a type';
       }
       
       // Type-specific validation
       switch (this.type) {
         case 'click_element':
-          return this.index !== undefined;
+          return this._validateTarget();
           
         case 'input_text':
-          return this.index !== undefined && this.text !== undefined;
+          return this._validateTarget() ||
+            (typeof this.text !== 'string' ? "input_text requires a string 'text'" : null);
           
         case 'extract_content':
-          return this.goal !== undefined;
+          if (typeof this.goal !== 'string' || !this.goal) {
+            return "extract_content requires a string 'goal'";
+          }
+          return this.name !== undefined && typeof this.name !== 'string' ? "extract_content 'name' must be a string" : null;
           
         case 'scroll':
-          return true; // direction and amount are optional
+          if (this.direction !== undefined && !['up', 'down'].includes(this.direction)) {
+            return "scroll 'direction' must be 'up' or 'down'";
+          }
+          if (this.amount !== undefined && typeof this.amount !== 'number') {
+            return "scroll 'amount' must be a number";
+          }
+          return null;
           
         case 'wait':
-          return true; // seconds is optional
+          return this.seconds !== undefined && (typeof this.seconds !== 'number' || this.seconds < 0) ?
+            "wait 'seconds' must be a non-negative number" : null;
           
         case 'done':
-          return true; // text and success are optional
+          if (this.text !== undefined && typeof this.text !== 'string') {
+            return "done 'text' must be a string";
+          }
+          if (this.success !== undefined && typeof this.success !== 'boolean') {
+            return "done 'success' must be a boolean";
+          }
+          return null;
           
         default:
-          return false;
+          return `Unknown action type: ${this.type}`;
+      }
+    }
+    
+    /**
+     * Element actions need an xpath (or a legacy index)
+     */
+    _validateTarget() {
+      if (typeof this.xpath === 'string' && this.xpath) {
+        return null;
       }
+      if (typeof this.index === 'number') {
+        return null;
+      }
+      return `Action type ${this.type} requires 'xpath' parameter`;
     }
     
     /**
@@ -87,15 +124,19 @@ class ActionModel {
     }
     
     /**
-     * Add a step to the history
+     * Add a step to the history and return it; details holds extra per-step
+     * data such as parse attempts
      */
-    addStep(state, action, result) {
-      this.steps.push({
+    addStep(state, action, result, details = {}) {
+      const step = {
         state,
         action,
         result,
+        ...details,
         timestamp: Date.now()
-      });
+      };
+      this.steps.push(step);
+      return step;
     }
     
     /**
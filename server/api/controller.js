@@ -0,0 +1,205 @@
+/**
+ * Controller API
+ * WebSocket channel (/control) for scripts driving connected extensions,
+ * used by the Node SDK in client/
+ */
+
+const WebSocket = require('ws');
+const protocol = require('../../extension/protocol');
+const { TASK_STATUS } = require('../agent/tasks');
+const { exportScript, validateScript } = require('../agent/replay');
+const logger = require('../utils/logger'); // Import our logger
+
+/**
+ * Build the connection handler. deps:
+ *   registry     TaskRegistry holding every task
+ *   listClients  () => connected extension clients
+ *   findClient   ({ clientId, tabId, taskId }) => { ws, session } or { error, status }
+ *   startTask    (ws, session, task, options, source) => task record
+ *   cancelTask   (ws, session, reason) => void
+ *   decideApproval (ws, session, { approvalId, decision, action, comment }) => promise
+ *   runCommand   (ws, session, message, { onHold }) => promise of the command's result
+ */
+function createControllerHandler(deps) {
+  return function handleController(ws, id, user) {
+    // Tasks started by this controller; their events are streamed to it
+    const owned = new Set();
+
+    const send = (message) => {
+      if (ws.readyState === WebSocket.OPEN) {
+        ws.send(JSON.stringify(message));
+      }
+    };
+
+    const forwardEvent = (event) => {
+      if (!owned.has(event.taskId)) {
+        return;
+      }
+      send({ type: 'taskEvent', ...event });
+      if (event.event === 'finished') {
+        owned.delete(event.taskId);
+      }
+    };
+    deps.registry.on('taskEvent', forwardEvent);
+
+    logger.log(`Controller ${id} (${user}) connected`);
+
+    ws.on('message', async (message) => {
+      let data;
+      try {
+        data = JSON.parse(message);
+      } catch (error) {
+        send({ type: 'error', error: 'Invalid message: message is not valid JSON', field: '' });
+        return;
+      }
+
+      const validation = protocol.validateMessage(data, 'controller');
+      if (!validation.valid) {
+        logger.warn(`Controller ${id} sent an invalid message: ${validation.error}`);
+        send({
+          type: 'error',
+          error: `Invalid ${data && typeof data.type === 'string' ? data.type : 'unknown'} message: ${validation.error}`,
+          field: validation.field,
+          replyTo: data && data.requestId
+        });
+        return;
+      }
+
+      if (data.type === 'hello') {
+        handleHello(data);
+        return;
+      }
+
+      try {
+        const result = await handleRequest(data);
+        send({ type: 'response', requestId: data.requestId, ok: true, result });
+      } catch (error) {
+        logger.warn(`Controller ${id} ${data.type} failed: ${error.message}`);
+        send({ type: 'response', requestId: data.requestId, ok: false, error: error.message });
+      }
+    });
+
+    ws.on('close', () => {
+      logger.log(`Controller ${id} disconnected`);
+      deps.registry.off('taskEvent', forwardEvent);
+
+      // Nobody is left to receive the results; stop the browser working
+      for (const taskId of owned) {
+        const record = deps.registry.get(taskId);
+        const target = deps.findClient({ clientId: record.clientId, taskId });
+        if (!target.error) {
+          deps.cancelTask(target.ws, target.session, 'Controller disconnected');
+        }
+      }
+      owned.clear();
+    });
+
+    // Agree on a protocol version; the channel exists from v3, so controllers
+    // without it are disconnected
+    function handleHello(data) {
+      const version = protocol.negotiateVersion(data.protocolVersion, data.minProtocolVersion);
+      if (version === null || version < 3) {
+        send({
+          type: 'error',
+          error: `Unsupported protocol version ${data.protocolVersion}`,
+          field: 'protocolVersion'
+        });
+        ws.close(4002, 'Unsupported protocol version');
+        return;
+      }
+      logger.log(`Controller ${id} (${data.client || 'unknown client'}) using protocol v${version}`);
+    }
+
+    // Resolve the extension a request targets, or throw
+    function findTarget(query) {
+      const target = deps.findClient(query);
+      if (target.error) {
+        throw new Error(target.error);
+      }
+      return target;
+    }
+
+    // Look up a task by id, or throw
+    function getTask(taskId) {
+      const record = deps.registry.get(taskId);
+      if (!record) {
+        throw new Error('Task not found');
+      }
+      return record;
+    }
+
+    async function handleRequest(data) {
+      switch (data.type) {
+        case 'listClients':
+          return deps.listClients();
+
+        case 'getTask':
+          return deps.registry.describe(getTask(data.taskId));
+
+        case 'runTask': {
+          const scriptError = data.options && data.options.script ? validateScript(data.options.script) : null;
+          if (scriptError) {
+            throw new Error(`Invalid replay script: ${scriptError}`);
+          }
+          const target = findTarget({ clientId: data.clientId, tabId: data.tabId });
+          const record = deps.startTask(target.ws, target.session, data.task, {
+            ...data.options,
+            tabId: data.tabId
+          }, data.options && data.options.script ? 'replay' : 'sdk');
+          if (!record) {
+            throw new Error('Task could not be started');
+          }
+          owned.add(record.id);
+          return deps.registry.describe(record);
+        }
+
+        case 'getScript': {
+          const record = getTask(data.taskId);
+          if (record.status !== TASK_STATUS.COMPLETED) {
+            throw new Error(`Only completed tasks can be exported; this one is ${record.status}`);
+          }
+          return exportScript(record);
+        }
+
+        case 'cancelTask': {
+          const record = getTask(data.taskId);
+          if (deps.registry.isFinished(record)) {
+            throw new Error(`Task already ${record.status}`);
+          }
+          const target = findTarget({ clientId: record.clientId, taskId: record.id });
+          deps.cancelTask(target.ws, target.session, data.reason || 'Task cancelled by controller');
+          return deps.registry.describe(record);
+        }
+
+        case 'decideApproval': {
+          const record = getTask(data.taskId);
+          const target = findTarget({ clientId: record.clientId, taskId: record.id });
+          await deps.decideApproval(target.ws, target.session, data);
+          return deps.registry.describe(record);
+        }
+
+        case 'command':
+        case 'getDom': {
+          const target = findTarget({ clientId: data.clientId, tabId: data.tabId });
+          // Approval events of a held action go to the controller that sent it
+          return deps.runCommand(target.ws, target.session, data, {
+            onHold: record => owned.add(record.id)
+          });
+        }
+
+        default:
+          throw new Error(`Unsupported request ${data.type}`);
+      }
+    }
+
+    send({
+      type: 'connected',
+      clientId: id,
+      message: 'Connected to Web Agent server as a controller',
+      protocolVersion: protocol.PROTOCOL_VERSION,
+      minProtocolVersion: protocol.MIN_PROTOCOL_VERSION
+    });
+  };
+}
+
+module.exports = { createControllerHandler };
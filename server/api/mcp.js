@@ -0,0 +1,65 @@
+/**
+ * MCP API
+ * Streamable HTTP transport for the MCP tools
+ */
+
+const express = require('express');
+const { StreamableHTTPServerTransport } = require('@modelcontextprotocol/sdk/server/streamableHttp.js');
+
+/**
+ * Build the router. deps:
+ *   authenticate  (req) => user name, or null to refuse the request
+ *   createServer  () => McpServer with the browser tools
+ */
+function createMcpRouter(deps) {
+  const router = express.Router();
+
+  router.use(express.json({ limit: '1mb' }));
+
+  router.use((req, res, next) => {
+    if (!deps.authenticate(req)) {
+      res.status(401).json({ error: 'Invalid or missing auth token' });
+      return;
+    }
+    next();
+  });
+
+  // Stateless: every request gets its own server and transport, so no MCP
+  // session is kept between calls
+  router.post('/', async (req, res) => {
+    const server = deps.createServer();
+    const transport = new StreamableHTTPServerTransport({ sessionIdGenerator: undefined });
+    // Closing the transport aborts the tool calls still running, which
+    // cancels a task the client is no longer waiting for
+    res.on('close', () => {
+      transport.close();
+      server.close();
+    });
+
+    try {
+      await server.connect(transport);
+      await transport.handleRequest(req, res, req.body);
+    } catch (error) {
+      if (!res.headersSent) {
+        res.status(500).json({
+          jsonrpc: '2.0',
+          error: { code: -32603, message: `Internal error: ${error.message}` },
+          id: null
+        });
+      }
+    }
+  });
+
+  // Without sessions there is no stream to open or close
+  router.all('/', (req, res) => {
+    res.status(405).set('Allow', 'POST').json({
+      jsonrpc: '2.0',
+      error: { code: -32000, message: 'Method not allowed' },
+      id: null
+    });
+  });
+
+  return router;
+}
+
+module.exports = { createMcpRouter };
@@ -0,0 +1,206 @@
+/**
+ * Tasks API
+ * REST routes for submitting, inspecting and cancelling tasks, deciding on
+ * actions held for approval, and replaying completed tasks
+ */
+
+const express = require('express');
+const protocol = require('../../extension/protocol');
+const { TASK_STATUS } = require('../agent/tasks');
+const { exportScript, validateScript } = require('../agent/replay');
+
+// The router is mounted at the root; its body parsing and auth only apply
+// here so other routers keep their own
+const API_PATHS = ['/clients', '/tasks', '/replays'];
+
+/**
+ * Build the router. deps:
+ *   registry      TaskRegistry holding every task
+ *   authenticate  (req) => user name, or null to refuse the request
+ *   listClients   () => connected extension clients
+ *   findClient    ({ clientId, tabId }) => { ws, session } or { error, status }
+ *   startTask     (ws, session, task, options, source) => task record
+ *   cancelTask    (ws, session, reason) => void
+ *   decideApproval (ws, session, { approvalId, decision, action, comment }) => promise
+ */
+function createTaskRouter(deps) {
+  const router = express.Router();
+
+  router.use(API_PATHS, express.json({ limit: '1mb' }));
+
+  // Same tokens as WebSocket clients, sent as "Authorization: Bearer <token>"
+  router.use(API_PATHS, (req, res, next) => {
+    if (!deps.authenticate(req)) {
+      res.status(401).json({ error: 'Invalid or missing auth token' });
+      return;
+    }
+    next();
+  });
+
+  // Connected extensions that can run tasks
+  router.get('/clients', (req, res) => {
+    res.json({ clients: deps.listClients() });
+  });
+
+  // Start a task on a connected extension
+  router.post('/tasks', (req, res) => {
+    const body = req.body || {};
+
+    // The body carries the same fields as an executeTask message
+    const validation = protocol.validateMessage({ ...body, type: 'executeTask' }, 'client');
+    if (!validation.valid) {
+      res.status(400).json({ error: validation.error, field: validation.field });
+      return;
+    }
+    if (body.clientId !== undefined && !Number.isInteger(body.clientId)) {
+      res.status(400).json({ error: 'clientId must be integer', field: 'clientId' });
+      return;
+    }
+
+    const target = deps.findClient({ clientId: body.clientId, tabId: body.tabId });
+    if (target.error) {
+      res.status(target.status).json({ error: target.error });
+      return;
+    }
+
+    const record = deps.startTask(target.ws, target.session, body.task, {
+      ...body.options,
+      tabId: body.tabId
+    }, 'api');
+    if (!record) {
+      res.status(500).json({ error: 'Task could not be started' });
+      return;
+    }
+
+    res.status(202)
+      .location(`${req.baseUrl}/tasks/${record.id}`)
+      .json(deps.registry.describe(record));
+  });
+
+  // Status, steps and result of a task
+  router.get('/tasks/:id', (req, res) => {
+    const record = deps.registry.get(req.params.id);
+    if (!record) {
+      res.status(404).json({ error: 'Task not found' });
+      return;
+    }
+    res.json(deps.registry.describe(record));
+  });
+
+  // Approve, edit or reject the action a task holds for approval
+  router.post('/tasks/:id/approval', async (req, res) => {
+    const record = deps.registry.get(req.params.id);
+    if (!record) {
+      res.status(404).json({ error: 'Task not found' });
+      return;
+    }
+
+    if (deps.registry.isFinished(record)) {
+      res.status(409).json({ error: `Task already ${record.status}`, task: deps.registry.describe(record) });
+      return;
+    }
+
+    // The decision carries the same fields as an approvalDecision message
+    const body = req.body || {};
+    const validation = protocol.validateMessage({ ...body, type: 'approvalDecision' }, 'client');
+    if (!validation.valid) {
+      res.status(400).json({ error: validation.error, field: validation.field });
+      return;
+    }
+
+    const target = deps.findClient({ clientId: record.clientId, taskId: record.id });
+    if (target.error) {
+      res.status(target.status).json({ error: target.error });
+      return;
+    }
+
+    try {
+      await deps.decideApproval(target.ws, target.session, body);
+    } catch (error) {
+      res.status(409).json({ error: error.message, task: deps.registry.describe(record) });
+      return;
+    }
+    res.json(deps.registry.describe(record));
+  });
+
+  // Replay script of a completed task, for POST /replays
+  router.get('/tasks/:id/script', (req, res) => {
+    const record = deps.registry.get(req.params.id);
+    if (!record) {
+      res.status(404).json({ error: 'Task not found' });
+      return;
+    }
+    if (record.status !== TASK_STATUS.COMPLETED) {
+      res.status(409).json({ error: `Only completed tasks can be exported; this one is ${record.status}` });
+      return;
+    }
+    res.json(exportScript(record));
+  });
+
+  // Run a recorded script; the model is only asked for steps that no longer fit the page
+  router.post('/replays', (req, res) => {
+    const body = req.body || {};
+
+    const scriptError = validateScript(body.script);
+    if (scriptError) {
+      res.status(400).json({ error: scriptError, field: 'script' });
+      return;
+    }
+    if (body.options !== undefined && (typeof body.options !== 'object' || body.options === null)) {
+      res.status(400).json({ error: 'options must be object', field: 'options' });
+      return;
+    }
+    for (const field of ['clientId', 'tabId']) {
+      if (body[field] !== undefined && !Number.isInteger(body[field])) {
+        res.status(400).json({ error: `${field} must be integer`, field });
+        return;
+      }
+    }
+
+    const target = deps.findClient({ clientId: body.clientId, tabId: body.tabId });
+    if (target.error) {
+      res.status(target.status).json({ error: target.error });
+      return;
+    }
+
+    const record = deps.startTask(target.ws, target.session, body.script.task, {
+      ...body.options,
+      tabId: body.tabId,
+      script: body.script
+    }, 'replay');
+    if (!record) {
+      res.status(500).json({ error: 'Replay could not be started' });
+      return;
+    }
+
+    res.status(202)
+      .location(`${req.baseUrl}/tasks/${record.id}`)
+      .json(deps.registry.describe(record));
+  });
+
+  // Cancel a running task
+  router.delete('/tasks/:id', (req, res) => {
+    const record = deps.registry.get(req.params.id);
+    if (!record) {
+      res.status(404).json({ error: 'Task not found' });
+      return;
+    }
+    if (deps.registry.isFinished(record)) {
+      res.status(409).json({ error: `Task already ${record.status}`, task: deps.registry.describe(record) });
+      return;
+    }
+
+    const target = deps.findClient({ clientId: record.clientId, taskId: record.id });
+    if (target.error) {
+      res.status(target.status).json({ error: target.error });
+      return;
+    }
+
+    deps.cancelTask(target.ws, target.session, req.body?.reason || 'Task cancelled through the API');
+    res.json(deps.registry.describe(record));
+  });
+
+  return router;
+}
+
+module.exports = { createTaskRouter };
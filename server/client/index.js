@@ -0,0 +1,461 @@
+/**
+ * Node SDK
+ * Drive a browser connected to the agent server from a script:
+ *
+ *   const { connect } = require('./client');
+ *   const session = await connect('ws://localhost:3000', { token });
+ *   session.on('actionResult', event => console.log(event.step, event.success));
+ *   const result = await session.run('Find the cheapest flight to Paris');
+ *   await session.click('//button[@id="next"]');
+ *   await session.close();
+ */
+
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const WebSocket = require('ws');
+const protocol = require('../../extension/protocol');
+
+const CONTROL_PATH = '/control';
+
+/**
+ * A controller connection. Task events are emitted under their own name
+ * ('stepStarted', 'thought', 'actionChosen', 'approvalRequested',
+ * 'approvalDecided', 'actionResult', 'status', 'finished') and as 'event'.
+ * Problems with a request reject it; other server and connection errors
+ * are emitted as 'error' when there is a listener and dropped otherwise,
+ * so an unhandled one never throws in the caller's process.
+ */
+class AgentSession extends EventEmitter {
+  /**
+   * options: { clientId, tabId } pick the extension to drive; without them
+   * the server uses the only idle one. requestTimeoutMs bounds each request.
+   */
+  constructor(ws, options = {}) {
+    super();
+    this.ws = ws;
+    this.clientId = null; // Id the server gave this connection
+    this.target = { clientId: options.clientId, tabId: options.tabId };
+    this.requestTimeoutMs = options.requestTimeoutMs || 120000;
+
+    this.requests = new Map(); // requestId -> { resolve, reject, timer }
+    this.runs = new Map(); // taskId -> { resolve, reject, onEvent }
+    this.starting = 0; // runTask requests awaiting their response
+    this.earlyEvents = new Map(); // taskId -> events that came before it
+
+    ws.on('message', message => this.handleMessage(message));
+    ws.on('close', (code, reason) => this.handleClose(code, reason));
+    // connect() reports errors until the handshake is done; a 'close'
+    // follows every error and fails what is pending
+    ws.on('error', error => {
+      if (this.clientId !== null) {
+        this.reportError(error);
+      }
+    });
+  }
+
+  /**
+   * Run a task with the LLM agent and resolve with its outcome:
+   * { taskId, status, success, result, reason, data, findings, usage, replay }.
+   * options: executeTask options (maxSteps, outputSchema, vision, ...) plus
+   * clientId/tabId to pick the extension and onEvent(event) for step events.
+   */
+  async run(task, options = {}) {
+    const { clientId, tabId, onEvent, ...taskOptions } = options;
+
+    // The task's first events can arrive before the response naming it;
+    // they are held until then
+    let record;
+    this.starting++;
+    try {
+      record = await this.request('runTask', {
+        task,
+        options: taskOptions,
+        ...this.targetFor({ clientId, tabId })
+      });
+    } catch (error) {
+      this.takeEarlyEvents(null);
+      throw error;
+    }
+    const early = this.takeEarlyEvents(record.id);
+
+    return new Promise((resolve, reject) => {
+      const run = { resolve, reject, onEvent };
+      this.runs.set(record.id, run);
+      early.forEach(event => this.deliverToRun(run, event));
+    });
+  }
+
+  /**
+   * Run a script from exportScript again, asking the model only for steps
+   * that no longer fit the page. Takes the options of run() and resolves the
+   * same way; replay counts the steps run as recorded, relocated or by the model.
+   */
+  replay(script, options = {}) {
+    return this.run(script.task, { ...options, script });
+  }
+
+  /**
+   * Replay script of a completed task: its actions with the element each
+   * one targeted and the page it ran on
+   */
+  exportScript(taskId) {
+    return this.request('getScript', { taskId });
+  }
+
+  /**
+   * Decide on the action a task holds for approval (see the
+   * 'approvalRequested' event): decision is 'approve', 'edit' or 'reject'.
+   * options: { action } replacing the held one for 'edit', { comment } for the agent
+   */
+  decideApproval(taskId, approvalId, decision, options = {}) {
+    return this.request('decideApproval', {
+      taskId,
+      approvalId,
+      decision,
+      action: options.action,
+      comment: options.comment
+    });
+  }
+
+  /**
+   * Cancel a running task
+   */
+  cancel(taskId, reason) {
+    return this.request('cancelTask', { taskId, reason });
+  }
+
+  /**
+   * Status, steps and result of a task
+   */
+  getTask(taskId) {
+    return this.request('getTask', { taskId });
+  }
+
+  /**
+   * Extensions connected to the server
+   */
+  listClients() {
+    return this.request('listClients');
+  }
+
+  /**
+   * Snapshot of the page: { url, title, tabId, interactiveElements, elementCount }
+   */
+  getDom(target = {}) {
+    return this.request('getDom', this.targetFor(target));
+  }
+
+  /**
+   * Click the element at an XPath
+   */
+  click(xpath, target) {
+    return this.action({ type: 'click_element', xpath }, target);
+  }
+
+  /**
+   * Type text into the element at an XPath
+   */
+  input(xpath, text, target) {
+    return this.action({ type: 'input_text', xpath, text }, target);
+  }
+
+  /**
+   * Scroll the page 'up' or 'down', by amount pixels or a page if omitted
+   */
+  scroll(direction = 'down', amount, target) {
+    return this.action({ type: 'scroll', direction, amount }, target);
+  }
+
+  /**
+   * Wait in the page for a number of seconds
+   */
+  wait(seconds = 1, target) {
+    return this.action({ type: 'wait', seconds }, target);
+  }
+
+  /**
+   * Extract page content relevant to a goal
+   */
+  extract(goal, target) {
+    return this.action({ type: 'extract_content', goal }, target);
+  }
+
+  /**
+   * Run any action from the actionController vocabulary without the LLM.
+   * Resolves with the action's data; rejects if the action failed.
+   */
+  async action(action, target = {}) {
+    const result = await this.request('command', { action, ...this.targetFor(target) });
+    if (!result.success) {
+      throw new Error(result.error || `${action.type} failed`);
+    }
+    return result.data;
+  }
+
+  /**
+   * Close the connection. Tasks started by it are cancelled by the server.
+   */
+  close() {
+    return new Promise(resolve => {
+      if (this.ws.readyState === WebSocket.CLOSED) {
+        resolve();
+        return;
+      }
+      this.ws.once('close', () => resolve());
+      this.ws.close(1000, 'Controller closed');
+    });
+  }
+
+  /**
+   * Merge per-call target fields over the connection's defaults
+   */
+  targetFor(target = {}) {
+    const clientId = target.clientId ?? this.target.clientId;
+    const tabId = target.tabId ?? this.target.tabId;
+    return {
+      ...(clientId !== undefined && { clientId }),
+      ...(tabId !== undefined && { tabId })
+    };
+  }
+
+  /**
+   * Send a request and resolve with the result of its response
+   */
+  request(type, fields = {}) {
+    const requestId = crypto.randomUUID();
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.requests.delete(requestId);
+        reject(new Error(`${type} timed out after ${this.requestTimeoutMs}ms`));
+      }, this.requestTimeoutMs);
+
+      this.requests.set(requestId, { resolve, reject, timer });
+      try {
+        this.send({ type, requestId, ...fields });
+      } catch (error) {
+        clearTimeout(timer);
+        this.requests.delete(requestId);
+        reject(error);
+      }
+    });
+  }
+
+  send(message) {
+    if (this.ws.readyState !== WebSocket.OPEN) {
+      throw new Error('Not connected to the agent server');
+    }
+    this.ws.send(JSON.stringify(message));
+  }
+
+  handleMessage(raw) {
+    let message;
+    try {
+      message = JSON.parse(raw);
+    } catch (error) {
+      this.reportError(new Error('Server sent a message that is not JSON'));
+      return;
+    }
+
+    const validation = protocol.validateMessage(message, 'server');
+    if (!validation.valid) {
+      const error = `Invalid ${message.type || 'unknown'} message from server: ${validation.error}`;
+      const requestId = message.requestId || message.replyTo;
+      if (typeof requestId === 'string' && this.requests.has(requestId)) {
+        this.settleRequest(requestId, { ok: false, error });
+      } else {
+        this.reportError(new Error(error));
+      }
+      return;
+    }
+
+    switch (message.type) {
+      case 'connected':
+        this.handleConnected(message);
+        break;
+
+      case 'response':
+        this.settleRequest(message.requestId, message);
+        break;
+
+      case 'taskEvent':
+        this.handleTaskEvent(message);
+        break;
+
+      case 'error':
+        // Errors about a request fail that request; others are reported
+        if (message.replyTo && this.requests.has(message.replyTo)) {
+          this.settleRequest(message.replyTo, { ok: false, error: message.error });
+        } else {
+          this.reportError(new Error(message.error));
+        }
+        break;
+    }
+  }
+
+  handleConnected(message) {
+    const version = protocol.negotiateVersion(message.protocolVersion, message.minProtocolVersion);
+    if (version === null || version < 3) {
+      this.ws.close(4002, `Server protocol v${message.protocolVersion} has no controller channel`);
+      return;
+    }
+
+    this.clientId = message.clientId;
+    this.send({
+      type: 'hello',
+      protocolVersion: protocol.PROTOCOL_VERSION,
+      minProtocolVersion: protocol.MIN_PROTOCOL_VERSION,
+      client: 'node-sdk'
+    });
+    this.emit('connected', message);
+  }
+
+  handleTaskEvent(message) {
+    const { type, ...event } = message;
+    const run = this.runs.get(event.taskId);
+
+    this.emit('event', event);
+    this.emit(event.event, event);
+    if (run) {
+      this.deliverToRun(run, event);
+    } else if (this.starting > 0) {
+      const early = this.earlyEvents.get(event.taskId) || [];
+      early.push(event);
+      this.earlyEvents.set(event.taskId, early);
+    }
+  }
+
+  /**
+   * End a runTask request: the events held for its task, if it started one.
+   * Events of tasks nobody claims are dropped once no request is pending.
+   */
+  takeEarlyEvents(taskId) {
+    this.starting--;
+    const early = this.earlyEvents.get(taskId) || [];
+    this.earlyEvents.delete(taskId);
+    if (this.starting === 0) {
+      this.earlyEvents.clear();
+    }
+    return early;
+  }
+
+  /**
+   * Pass a task event to the run() waiting on it; 'finished' settles it
+   */
+  deliverToRun(run, event) {
+    if (run.onEvent) {
+      run.onEvent(event);
+    }
+
+    if (event.event === 'finished') {
+      this.runs.delete(event.taskId);
+      const result = event.result || {};
+      run.resolve({
+        taskId: event.taskId,
+        status: event.status,
+        success: Boolean(result.success),
+        result: result.message,
+        reason: result.reason,
+        data: result.data,
+        findings: result.findings || [],
+        usage: result.usage,
+        replay: result.replay || null
+      });
+    }
+  }
+
+  /**
+   * Emit an error not tied to a request; dropped when nobody listens
+   */
+  reportError(error) {
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', error);
+    }
+  }
+
+  settleRequest(requestId, response) {
+    const pending = this.requests.get(requestId);
+    if (!pending) {
+      return;
+    }
+
+    clearTimeout(pending.timer);
+    this.requests.delete(requestId);
+    if (response.ok) {
+      pending.resolve(response.result);
+    } else {
+      pending.reject(new Error(response.error || 'Request failed'));
+    }
+  }
+
+  handleClose(code, reason) {
+    const error = new Error(`Connection closed (${code}${reason && reason.length ? `: ${reason}` : ''})`);
+
+    for (const pending of this.requests.values()) {
+      clearTimeout(pending.timer);
+      pending.reject(error);
+    }
+    this.requests.clear();
+
+    for (const run of this.runs.values()) {
+      run.reject(error);
+    }
+    this.runs.clear();
+    this.earlyEvents.clear();
+
+    this.emit('close', code, reason.toString());
+  }
+}
+
+/**
+ * Connect to the server's controller channel. url is the server's ws:// or
+ * wss:// address. options: { token, clientId, tabId, requestTimeoutMs,
+ * connectTimeoutMs }. The token is sent in an Authorization header, so it
+ * stays out of URLs and access logs. Resolves once the protocol handshake
+ * is done.
+ */
+function connect(url, options = {}) {
+  const socketUrl = new URL(url);
+  if (socketUrl.pathname === '/' || socketUrl.pathname === '') {
+    socketUrl.pathname = CONTROL_PATH;
+  }
+  const headers = options.token ? { Authorization: `Bearer ${options.token}` } : {};
+
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(socketUrl.toString(), { headers });
+    const session = new AgentSession(ws, options);
+
+    const timer = setTimeout(() => {
+      fail(new Error(`Timed out connecting to ${url}`));
+      ws.terminate();
+    }, options.connectTimeoutMs || 10000);
+
+    function fail(error) {
+      clearTimeout(timer);
+      session.off('connected', onConnected);
+      reject(error);
+    }
+
+    function onConnected() {
+      clearTimeout(timer);
+      ws.off('error', fail);
+      ws.off('close', onClose);
+      resolve(session);
+    }
+
+    function onClose(code, reason) {
+      fail(new Error(code === 4001 ?
+        'The server refused the auth token' :
+        `Connection closed (${code}${reason && reason.length ? `: ${reason}` : ''})`));
+    }
+
+    session.once('connected', onConnected);
+    ws.once('error', fail);
+    ws.once('close', onClose);
+  });
+}
+
+module.exports = {
+  connect,
+  AgentSession
+};
@@ -4,11 +4,28 @@
  */
 
 // Import dependencies
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const express = require('express');
 const WebSocket = require('ws');
 const dotenv = require('dotenv');
 const { AgentService } = require('./agent/service');
+const { ReplayAgent, validateScript } = require('./agent/replay');
+const { ActionModel } = require('./agent/views');
+const { loadApprovalPolicy } = require('./agent/approval');
+const { describeElement } = require('./agent/locator');
 const { MessageManager } = require('./agent/message-manager/service');
+const { Session, SESSION_STATES } = require('./agent/session');
+const { TaskRegistry, TASK_STATUS } = require('./agent/tasks');
+const { TraceWriter, DEFAULT_TRACES_DIR } = require('./agent/trace');
+const { createTaskRouter } = require('./api/tasks');
+const { createControllerHandler } = require('./api/controller');
 const { setupLLM } = require('./llm/setup');
+const { loadPriceTable } = require('./llm/pricing');
+const { parseAuthTokens, authenticate } = require('./utils/auth');
+const protocol = require('../extension/protocol');
 const logger = require('./utils/logger'); // Import our logger
 
 // Load environment variables
@@ -18,20 +35,157 @@ dotenv.config();
 const PORT = process.env.PORT || 3000;
 const LLM_PROVIDER = process.env.LLM_PROVIDER || 'gemini';
 const MODEL_NAME = process.env.MODEL_NAME || 'gemini-pro';
-const API_KEY = process.env.API_KEY; // Gemini API key
+const API_KEY = process.env.API_KEY; // Provider API key (optional for local providers)
+
+// Accepted client tokens, "token" or "name:token", comma-separated; when
+// empty, only clients on this machine are accepted
+const AUTH_TOKENS = parseAuthTokens(process.env.AUTH_TOKENS);
+
+// Serve wss:// when both a certificate and a key are configured
+const TLS_CERT_FILE = process.env.TLS_CERT_FILE;
+const TLS_KEY_FILE = process.env.TLS_KEY_FILE;
+
+// LLM request policy, local endpoint settings (local/ollama/llamacpp/vllm providers)
+// and mock provider fixture/recording files
+const LLM_OPTIONS = {
+  timeoutMs: parseInt(process.env.LLM_TIMEOUT_MS || '60000', 10),
+  maxRetries: parseInt(process.env.LLM_MAX_RETRIES || '3', 10),
+  baseDelayMs: parseInt(process.env.LLM_RETRY_BASE_DELAY_MS || '1000', 10),
+  maxDelayMs: parseInt(process.env.LLM_RETRY_MAX_DELAY_MS || '30000', 10),
+  baseUrl: process.env.LLM_BASE_URL,
+  chatPath: process.env.LLM_CHAT_PATH,
+  fixturePath: process.env.LLM_FIXTURE,
+  recordPath: process.env.LLM_RECORD_FILE,
+  capabilities: {
+    tools: process.env.LLM_SUPPORTS_TOOLS === 'true',
+    jsonMode: process.env.LLM_SUPPORTS_JSON === 'true',
+    vision: process.env.LLM_SUPPORTS_VISION === 'true'
+  }
+};
+
+// Default per-task budgets (overridable per task via executeTask options)
+const TASK_LIMITS = {
+  maxSteps: parseInt(process.env.MAX_STEPS || '50', 10),
+  maxDurationMs: parseInt(process.env.MAX_DURATION_MS || '600000', 10),
+  maxConsecutiveFailures: parseInt(process.env.MAX_CONSECUTIVE_FAILURES || '5', 10),
+  maxRepeatedActions: parseInt(process.env.MAX_REPEATED_ACTIONS || '4', 10)
+};
+
+// Context budget and how old context is compacted ('rules' or 'llm')
+const CONTEXT_OPTIONS = {
+  maxTokens: parseInt(process.env.CONTEXT_MAX_TOKENS || '8000', 10),
+  summarizeWithLLM: process.env.CONTEXT_SUMMARIES === 'llm'
+};
+
+// Per-step trace files for every task, read with `npm run logs`. Traces hold
+// full prompts, page contents and screenshots; TRACES=false turns them off.
+// Only the most recent TRACES_MAX_RUNS runs are kept
+const TRACE_OPTIONS = {
+  enabled: process.env.TRACES !== 'false',
+  dir: process.env.TRACES_DIR || DEFAULT_TRACES_DIR,
+  maxRuns: parseInt(process.env.TRACES_MAX_RUNS || '50', 10)
+};
+
+// Actions a human must approve before they run (APPROVAL_POLICY_FILE or
+// APPROVAL_POLICY, see agent/approval.js); without a policy nothing is held
+const APPROVAL_POLICY = loadApprovalPolicy();
+
+// Serve MCP over streamable HTTP at /mcp. The MCP SDK needs Node 18 or
+// later, so it is only loaded when this is on
+const MCP_HTTP = process.env.MCP_HTTP === 'true';
+
+// Offer MCP clients the run_task tool that hands a whole task to the agent
+const MCP_RUN_TASK = process.env.MCP_RUN_TASK !== 'false';
+
+// How long a session may wait for the page, the model and an action result
+const SESSION_TIMEOUTS = {
+  awaiting_dom: parseInt(process.env.DOM_TIMEOUT_MS || '15000', 10),
+  thinking: parseInt(process.env.THINKING_TIMEOUT_MS || '300000', 10),
+  awaiting_approval: parseInt(process.env.APPROVAL_TIMEOUT_MS || '600000', 10),
+  acting: parseInt(process.env.ACTION_TIMEOUT_MS || '60000', 10)
+};
 
 // Server state
-const clients = new Map(); // Map clients to their agent instances
+const clients = new Map(); // Map clients to their sessions
+const tasks = new TaskRegistry();
+const heldCommands = new Map(); // approvalId -> { resolve, timer } of direct commands held for approval
+
+// Close each task's trace once it ends, however it ended
+tasks.on('taskEvent', (event) => {
+  const record = event.event === 'finished' ? tasks.get(event.taskId) : null;
+  if (record && record.agent) {
+    record.agent.finishTrace(event.status, event.result);
+  }
+});
 let connectionCounter = 0;
 
-// Initialize WebSocket server
-const wss = new WebSocket.Server({ port: PORT });
+// Close code sent to clients with a missing or unknown token
+const CLOSE_UNAUTHORIZED = 4001;
+
+// REST API for scripts: start, inspect and cancel tasks on connected extensions
+const app = express();
+app.use(createTaskRouter({
+  registry: tasks,
+  authenticate: req => authenticate(req, AUTH_TOKENS),
+  listClients,
+  findClient,
+  startTask,
+  cancelTask,
+  decideApproval
+}));
+
+// MCP over streamable HTTP: the browser as tools for external assistants
+// (mcp/stdio.js serves the same tools over stdio)
+if (MCP_HTTP) {
+  const { createMcpRouter } = require('./api/mcp');
+  const { createMcpServer } = require('./mcp/tools');
+  const { createLocalBackend } = require('./mcp/backend');
+
+  const mcpBackend = createLocalBackend({
+    registry: tasks,
+    findClient,
+    startTask,
+    cancelTask,
+    runCommand
+  });
+  app.use('/mcp', createMcpRouter({
+    authenticate: req => authenticate(req, AUTH_TOKENS),
+    createServer: () => createMcpServer(mcpBackend, { runTask: MCP_RUN_TASK })
+  }));
+  logger.log('Serving MCP over streamable HTTP at /mcp');
+}
+
+// Controller channel for the Node SDK: run tasks with streamed events, or
+// drive an extension directly without the LLM
+const CONTROL_PATH = '/control';
+const handleController = createControllerHandler({
+  registry: tasks,
+  listClients,
+  findClient,
+  startTask,
+  cancelTask,
+  decideApproval,
+  runCommand
+});
 
-logger.log(`WebSocket server started on port ${PORT}`);
+// Initialize HTTP(S) server; the WebSocket server shares it
+const useTLS = Boolean(TLS_CERT_FILE && TLS_KEY_FILE);
+const server = useTLS ?
+  https.createServer({ cert: fs.readFileSync(TLS_CERT_FILE), key: fs.readFileSync(TLS_KEY_FILE) }, app) :
+  http.createServer(app);
+const wss = new WebSocket.Server({ server });
+
+server.listen(PORT, () => {
+  logger.log(`WebSocket server started on ${useTLS ? 'wss' : 'ws'}://localhost:${PORT}`);
+});
+if (AUTH_TOKENS.size === 0) {
+  logger.warn('WARNING: AUTH_TOKENS is not set. Clients are not authenticated, so only connections from this machine are accepted; set AUTH_TOKENS to accept others');
+}
 logger.log(`Using LLM provider: ${LLM_PROVIDER}, model: ${MODEL_NAME}`);
 
 // Setup LLM client
-const llm = setupLLM(LLM_PROVIDER, MODEL_NAME, API_KEY);
+const llm = setupLLM(LLM_PROVIDER, MODEL_NAME, API_KEY, LLM_OPTIONS);
+const priceTable = loadPriceTable();
 
 // Add Gemini-specific message formatting helper
 function formatMessagesForGemini(messages) {
@@ -68,57 +222,101 @@ function formatMessagesForGemini(messages) {
 }
 
 // Handle new connections
-wss.on('connection', (ws) => {
+wss.on('connection', (ws, req) => {
+  // Refuse unauthenticated clients before any session exists for them
+  const user = authenticate(req, AUTH_TOKENS);
+  if (!user) {
+    const why = AUTH_TOKENS.size === 0 ? 'only local clients are accepted without AUTH_TOKENS' : 'missing or invalid auth token';
+    logger.warn(`Rejected connection from ${req.socket.remoteAddress}: ${why}`);
+    ws.close(CLOSE_UNAUTHORIZED, 'Invalid or missing auth token');
+    return;
+  }
+  
   const clientId = ++connectionCounter;
-  let clientState = {
-    id: clientId,
-    agent: null,
-    tabId: null,
-    task: null,
-    isExecuting: false,
-    lastDomState: null,
-    startTime: Date.now()
-  };
+  
+  // Controllers are not extensions: they get their own handler and are not
+  // offered as targets for tasks
+  if (new URL(req.url || '/', 'http://localhost').pathname === CONTROL_PATH) {
+    handleController(ws, clientId, user);
+    return;
+  }
+  
+  const session = new Session(clientId, {
+    timeouts: SESSION_TIMEOUTS,
+    onTimeout: (timedOut, state) => handleSessionTimeout(ws, timedOut, state)
+  });
+  session.user = user;
   
   // Add to clients map
-  clients.set(ws, clientState);
+  clients.set(ws, session);
   
-  logger.log(`Client ${clientId} connected. Total clients: ${clients.size}`);
+  logger.log(`Client ${clientId} (${user}) connected. Total clients: ${clients.size}`);
   
   // Handle incoming messages
   ws.on('message', async (message) => {
     try {
-      const data = JSON.parse(message);
+      let data;
+      try {
+        data = JSON.parse(message);
+      } catch (error) {
+        sendInvalidMessageError(ws, null, { field: '', error: 'message is not valid JSON' });
+        return;
+      }
+      
+      // Check the message against the shared schema before routing it
+      const validation = protocol.validateMessage(data, 'client');
+      if (!validation.valid) {
+        logger.warn(`Client ${clientId} sent an invalid message: ${validation.error}`);
+        sendInvalidMessageError(ws, data, validation);
+        return;
+      }
       
       // Update tab ID if available
-      if (data.tabId && !clientState.tabId) {
-        clientState.tabId = data.tabId;
+      if (data.tabId && !session.tabId) {
+        session.tabId = data.tabId;
       }
       
       // Process message based on type
       switch (data.type) {
+        case 'hello':
+          handleHello(ws, session, data);
+          break;
+          
         case 'domState':
-          await handleDomState(ws, clientState, data);
+          await handleDomState(ws, session, data);
           break;
           
         case 'actionResult':
-          await handleActionResult(ws, clientState, data);
+          await handleActionResult(ws, session, data);
           break;
           
         case 'executeTask':
-          await handleExecuteTask(ws, clientState, data);
+          await handleExecuteTask(ws, session, data);
+          break;
+          
+        case 'cancelTask':
+          handleCancelTask(ws, session, data);
+          break;
+          
+        case 'pauseTask':
+          handlePauseTask(ws, session, data);
+          break;
+          
+        case 'resumeTask':
+          handleResumeTask(ws, session, data);
+          break;
+          
+        case 'approvalDecision':
+          await handleApprovalDecision(ws, session, data);
           break;
           
         case 'pageUnload':
-          handlePageUnload(ws, clientState, data);
+          handlePageUnload(ws, session, data);
           break;
           
         case 'error':
           logger.error(`Client ${clientId} error:`, data.error);
           break;
-          
-        default:
-          logger.log(`Unknown message type: ${data.type}`);
       }
     } catch (error) {
       logger.error(`Error processing message from client ${clientId}:`, error);
@@ -130,9 +328,18 @@ wss.on('connection', (ws) => {
     logger.log(`Client ${clientId} disconnected`);
     
     // Clean up resources
-    if (clientState.agent) {
-      clientState.agent = null;
+    if (session.approval && session.approval.command) {
+      settleCommand(ws, session, 'reject', session.approval.action, 'Client disconnected');
     }
+    if (session.agent) {
+      session.agent.cancel('Client disconnected');
+      if (session.isActive()) {
+        session.transition(SESSION_STATES.FAILED, 'client disconnected');
+        tasks.finish(session.taskId, TASK_STATUS.FAILED, session.agent.getFinalResult());
+      }
+      session.agent = null;
+    }
+    session.close();
     
     // Remove from clients map
     clients.delete(ws);
@@ -142,87 +349,167 @@ wss.on('connection', (ws) => {
   ws.send(JSON.stringify({
     type: 'connected',
     clientId: clientId,
-    message: 'Connected to Web Agent server'
+    message: 'Connected to Web Agent server',
+    protocolVersion: protocol.PROTOCOL_VERSION,
+    minProtocolVersion: protocol.MIN_PROTOCOL_VERSION
   }));
 });
 
+// Tell the client which field of its message was rejected
+function sendInvalidMessageError(ws, data, validation) {
+  const type = data && typeof data.type === 'string' ? data.type : 'unknown';
+  ws.send(JSON.stringify({
+    type: 'error',
+    error: `Invalid ${type} message: ${validation.error}`,
+    field: validation.field,
+    replyTo: data && data.messageId
+  }));
+}
+
+// Agree on a protocol version; clients that share none are disconnected
+function handleHello(ws, session, data) {
+  const version = protocol.negotiateVersion(data.protocolVersion, data.minProtocolVersion);
+  
+  if (version === null) {
+    logger.warn(`Client ${session.id} speaks protocol v${data.minProtocolVersion || 1}-${data.protocolVersion}; server supports v${protocol.MIN_PROTOCOL_VERSION}-${protocol.PROTOCOL_VERSION}`);
+    ws.send(JSON.stringify({
+      type: 'error',
+      error: `Unsupported protocol version ${data.protocolVersion}`,
+      field: 'protocolVersion'
+    }));
+    ws.close(4002, 'Unsupported protocol version');
+    return;
+  }
+  
+  session.protocolVersion = version;
+  logger.log(`Client ${session.id} (${data.client || 'unknown client'}) using protocol v${version}`);
+}
+
 // Handle DOM state updates
-async function handleDomState(ws, clientState, data) {
-  // Store DOM state
-  clientState.lastDomState = data;
+async function handleDomState(ws, session, data) {
+  // Snapshots asked for by a controller go back to it
+  if (session.resolveCommand(data)) {
+    session.lastDomState = data;
+    return;
+  }
   
-  // If agent is executing a task, process this state
-  if (clientState.isExecuting && clientState.agent) {
-    try {
-      await clientState.agent.processState(data);
-      
-      // Get next action if not waiting for a result and not already generating an action
-      if (!clientState.waitingForResult && !clientState.isGeneratingAction) {
-        // Set flag to prevent concurrent action generation
-        clientState.isGeneratingAction = true;
-        
-        try {
-          const nextAction = await clientState.agent.getNextAction();
-          
-          // Mark as waiting for result
-          clientState.waitingForResult = true;
-          
-          // Send action to client
-          ws.send(JSON.stringify({
-            type: 'action',
-            action: nextAction
-          }));
-        } finally {
-          // Always clear the generating flag when done
-          clientState.isGeneratingAction = false;
-        }
+  // Collapse unsolicited pushes of a state we already have
+  const hash = data.data?.diff?.hash || null;
+  const previous = session.lastDomState;
+  if (!data.requested && hash && previous && hash === previous.data?.diff?.hash && data.url === previous.url) {
+    return;
+  }
+  
+  // Store DOM state; only the latest one is kept
+  session.lastDomState = data;
+  
+  // Only a session waiting for the page decides on it; paused, thinking and
+  // acting sessions just keep the latest state
+  if (!session.is(SESSION_STATES.AWAITING_DOM)) {
+    return;
+  }
+  
+  // A reply to an earlier step's request describes a page we have moved on from
+  if (data.requested && !session.isReplyTo('requestDOM', data)) {
+    logger.warn(`Client ${session.id} sent a stale DOM state for step ${data.stepId} (current step ${session.stepId}); not processing`);
+    return;
+  }
+  
+  // The agent decides on the state it asked for, on a newly loaded page if
+  // that request was lost in navigation, or on the state pushed after the
+  // last action if the extension was still busy with it; other pushes are
+  // only stored
+  if (!data.requested && data.reason !== 'initial' && !session.isStateAfterLastAction(data)) {
+    logger.log(`Client ${session.id} stored ${data.reason || 'unsolicited'} DOM state without processing`);
+    return;
+  }
+  session.acceptReply('requestDOM', data);
+  
+  const agent = session.agent;
+  session.transition(SESSION_STATES.THINKING, `${data.reason || 'requested'} state`);
+  emitTaskEvent(ws, session, 'stepStarted', { step: session.stepId, url: data.url, title: data.title || null });
+  
+  try {
+    await agent.processState(data);
+    const nextAction = await agent.getNextAction();
+    
+    // Task was cancelled or replaced while the LLM was thinking
+    if (agent.isCancelled() || session.agent !== agent) {
+      return;
+    }
+    
+    // A budget ran out before another action could be chosen
+    if (!nextAction) {
+      if (agent.isTaskComplete()) {
+        completeTask(ws, session);
       }
-    } catch (error) {
-      logger.error(`Error processing state for client ${clientState.id}:`, error);
-      ws.send(JSON.stringify({
-        type: 'error',
-        error: `Error processing state: ${error.message}`
-      }));
+      return;
+    }
+    
+    // Sensitive actions wait for a human before they are sent
+    const approval = agent.checkApproval(nextAction);
+    session.transition(approval ? SESSION_STATES.AWAITING_APPROVAL : SESSION_STATES.ACTING, nextAction.type);
+    
+    const thought = agent.getLastThought();
+    if (thought) {
+      emitTaskEvent(ws, session, 'thought', { step: session.stepId, ...thought });
+    }
+    emitTaskEvent(ws, session, 'actionChosen', { step: session.stepId, action: nextAction });
+    
+    if (approval) {
+      requestApproval(ws, session, nextAction, approval);
+    } else {
+      sendAction(ws, session, nextAction);
+    }
+  } catch (error) {
+    logger.error(`Error processing state for client ${session.id}:`, error);
+    ws.send(JSON.stringify({
+      type: 'error',
+      error: `Error processing state: ${error.message}`
+    }));
+    
+    // Nothing will move the session on from here; end the task
+    if (session.agent === agent && session.is(SESSION_STATES.THINKING)) {
+      agent.fail('internal_error', error.message);
+      completeTask(ws, session);
     }
   }
 }
 
 // Handle action results
-async function handleActionResult(ws, clientState, data) {
-  // Not waiting for results anymore
-  clientState.waitingForResult = false;
+async function handleActionResult(ws, session, data) {
+  if (session.resolveCommand(data)) {
+    return;
+  }
   
-  if (!clientState.isExecuting || !clientState.agent) {
+  // Results only count while an action is outstanding
+  if (!session.is(SESSION_STATES.ACTING)) {
+    logger.warn(`Client ${session.id} sent an action result while ${session.state}; ignoring`);
     return;
   }
   
+  // A late or duplicate result must not be attached to the current action
+  if (!session.isReplyTo('action', data)) {
+    logger.warn(`Client ${session.id} sent a stale action result (step ${data.stepId}, reply to ${data.replyTo}) during step ${session.stepId}; ignoring`);
+    return;
+  }
+  session.acceptReply('action', data);
+  
+  const agent = session.agent;
+  
   try {
-    // Process action result
-    await clientState.agent.processActionResult(data);
+    // Process action result, keeping the ids of every message in the step
+    await agent.processActionResult(data, { stepId: session.stepId, ...session.stepMessages });
+    emitTaskEvent(ws, session, 'actionResult', {
+      step: session.stepId,
+      success: data.success,
+      error: data.error || null,
+      data: data.data || null
+    });
     
-    // Check if task is complete
-    if (clientState.agent.isTaskComplete()) {
-      const finalResult = clientState.agent.getFinalResult();
-      
-      // Send task completion message
-      ws.send(JSON.stringify({
-        type: 'taskComplete',
-        task: clientState.task,
-        result: finalResult.message,
-        success: finalResult.success
-      }));
-      
-      // Reset execution state
-      clientState.isExecuting = false;
-      clientState.task = null;
-    } else {
-      // Request new DOM state for next action
-      ws.send(JSON.stringify({
-        type: 'requestDOM'
-      }));
-    }
+    continueTask(ws, session);
   } catch (error) {
-    logger.error(`Error processing action result for client ${clientState.id}:`, error);
+    logger.error(`Error processing action result for client ${session.id}:`, error);
     ws.send(JSON.stringify({
       type: 'error',
       error: `Error processing action result: ${error.message}`
@@ -230,9 +517,217 @@ async function handleActionResult(ws, clientState, data) {
   }
 }
 
+// Finish the task, hold it for a pause, or go on to the next step
+function continueTask(ws, session) {
+  if (session.agent.isTaskComplete()) {
+    completeTask(ws, session);
+  } else if (session.agent.isPaused()) {
+    session.transition(SESSION_STATES.PAUSED, 'paused between steps');
+  } else {
+    // Request new DOM state for next action
+    requestDOM(ws, session);
+  }
+}
+
+// Send an action to the client; the result must echo its messageId
+function sendAction(ws, session, action) {
+  ws.send(JSON.stringify({
+    type: 'action',
+    action,
+    ...session.expectReply('action')
+  }));
+}
+
+// Hold an action until a human approves, edits or rejects it in the popup,
+// through the API or from the SDK
+function requestApproval(ws, session, action, approval) {
+  session.approval = {
+    id: crypto.randomUUID(),
+    step: session.stepId,
+    action,
+    rule: approval.rule,
+    reason: approval.reason,
+    element: approval.element,
+    url: session.agent.currentUrl,
+    requestedAt: Date.now()
+  };
+  
+  logger.log(`Client ${session.id} holding ${action.type} for approval (${approval.reason})`);
+  
+  const { id, step, ...details } = session.approval;
+  emitTaskEvent(ws, session, 'approvalRequested', { step, approvalId: id, ...details });
+}
+
+// Apply a human's decision on the held action: { approvalId, decision
+// ('approve', 'edit' or 'reject'), action (the edited action), comment }.
+// Throws when there is no such approval or the edited action is invalid.
+async function decideApproval(ws, session, { approvalId, decision, action, comment }) {
+  const pending = session.approval;
+  if (!pending || pending.id !== approvalId || !(pending.command || session.is(SESSION_STATES.AWAITING_APPROVAL))) {
+    throw new Error('No action is waiting for this approval');
+  }
+  if (!['approve', 'edit', 'reject'].includes(decision)) {
+    throw new Error(`Unknown decision ${decision}; use approve, edit or reject`);
+  }
+  
+  let finalAction = pending.action;
+  if (decision === 'edit') {
+    const edited = new ActionModel(action || {});
+    const error = edited.getValidationError();
+    if (error) {
+      throw new Error(`Invalid edited action: ${error}`);
+    }
+    finalAction = edited.toJSON();
+  }
+  
+  if (pending.command) {
+    settleCommand(ws, session, decision, finalAction, comment);
+    return;
+  }
+  
+  const agent = session.agent;
+  session.approval = null;
+  agent.recordApproval(decision, finalAction, comment);
+  emitTaskEvent(ws, session, 'approvalDecided', {
+    step: pending.step,
+    approvalId,
+    decision,
+    action: finalAction,
+    comment: comment || null
+  });
+  logger.log(`Client ${session.id} decision on held ${pending.action.type}: ${decision}`);
+  
+  if (decision !== 'reject') {
+    session.transition(SESSION_STATES.ACTING, decision === 'edit' ? 'edited by the user' : 'approved');
+    sendAction(ws, session, finalAction);
+    return;
+  }
+  
+  // A rejected action is recorded as a failed step, so the model moves on
+  const error = `Rejected by the user${comment ? `: ${comment}` : ''}`;
+  await agent.processActionResult({ success: false, error, data: { rejected: true } }, { stepId: session.stepId, ...session.stepMessages });
+  emitTaskEvent(ws, session, 'actionResult', { step: pending.step, success: false, error, data: { rejected: true } });
+  
+  if (session.agent === agent && session.isActive()) {
+    continueTask(ws, session);
+  }
+}
+
+// Handle an approval decision from the popup
+async function handleApprovalDecision(ws, session, data) {
+  try {
+    await decideApproval(ws, session, data);
+  } catch (error) {
+    ws.send(JSON.stringify({
+      type: 'error',
+      error: error.message
+    }));
+  }
+}
+
+// Report task progress to controllers through the registry, and to the
+// extension so the popup can show it (protocol v4+)
+function emitTaskEvent(ws, session, event, details, taskId = session.taskId) {
+  tasks.publish(taskId, event, details);
+  
+  if (session.protocolVersion >= 4 && ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify({
+      type: 'taskEvent',
+      taskId,
+      event,
+      ...details,
+      timestamp: Date.now()
+    }));
+  }
+}
+
+// Ask the extension for a fresh DOM state, with a screenshot in vision mode
+function requestDOM(ws, session, reason = 'next step') {
+  // Retries stay in the same step; anything else starts a new one
+  if (!session.is(SESSION_STATES.AWAITING_DOM)) {
+    session.nextStep();
+  }
+  session.domRequests++;
+  session.transition(SESSION_STATES.AWAITING_DOM, reason);
+  
+  ws.send(JSON.stringify({
+    type: 'requestDOM',
+    screenshot: Boolean(session.agent && session.agent.useVision),
+    ...session.expectReply('requestDOM')
+  }));
+}
+
+// Send the final result and reset execution state
+function completeTask(ws, session) {
+  const finalResult = session.agent.getFinalResult();
+  
+  // Send task completion message
+  const usage = session.agent.getUsage();
+  ws.send(JSON.stringify({
+    type: 'taskComplete',
+    taskId: session.taskId,
+    task: session.task,
+    result: finalResult.message,
+    success: finalResult.success,
+    reason: finalResult.reason,
+    data: finalResult.data,
+    findings: finalResult.findings,
+    usage
+  }));
+  
+  logger.log(`Client ${session.id} finished task: ${finalResult.message}`);
+  
+  session.approval = null;
+  session.transition(finalResult.success ? SESSION_STATES.DONE : SESSION_STATES.FAILED, finalResult.reason || 'task finished');
+  tasks.finish(session.taskId, finalResult.success ? TASK_STATUS.COMPLETED : TASK_STATUS.FAILED, { ...finalResult, usage });
+  session.task = null;
+}
+
+// A waiting state lasted too long
+function handleSessionTimeout(ws, session, state) {
+  const agent = session.agent;
+  if (!agent) {
+    return;
+  }
+  
+  switch (state) {
+    case SESSION_STATES.AWAITING_DOM:
+      // The request may have been lost to a navigation; ask once more
+      if (session.domRequests < 2) {
+        requestDOM(ws, session, 'retrying after timeout');
+        return;
+      }
+      agent.fail('dom_timeout', 'The page did not report its state in time');
+      break;
+      
+    case SESSION_STATES.THINKING:
+      // Aborting the LLM call lets the pending step finish the task
+      agent.abort('llm_timeout', 'The model did not choose an action in time');
+      return;
+      
+    case SESSION_STATES.AWAITING_APPROVAL:
+      // Nobody answered; the action is treated as rejected and the task goes on
+      decideApproval(ws, session, {
+        approvalId: session.approval.id,
+        decision: 'reject',
+        comment: 'No decision was made in time'
+      }).catch(error => logger.error(`Error rejecting unanswered approval for client ${session.id}:`, error));
+      return;
+      
+    case SESSION_STATES.ACTING:
+      agent.fail('action_timeout', 'The page did not report the action result in time');
+      break;
+      
+    default:
+      return;
+  }
+  
+  completeTask(ws, session);
+}
+
 // Handle execute task request
-async function handleExecuteTask(ws, clientState, data) {
-  if (clientState.isExecuting) {
+async function handleExecuteTask(ws, session, data) {
+  if (session.isActive()) {
     ws.send(JSON.stringify({
       type: 'error',
       error: 'A task is already in progress'
@@ -240,50 +735,388 @@ async function handleExecuteTask(ws, clientState, data) {
     return;
   }
   
+  startTask(ws, session, data.task, data.options || {}, 'extension');
+}
+
+// Create the agent for a task and start its first step. Returns the task
+// record, or null if the task could not be started.
+function startTask(ws, session, task, options, source) {
+  // A new task replaces a direct command still waiting for a decision
+  if (session.approval && session.approval.command) {
+    settleCommand(ws, session, 'reject', session.approval.action, 'A task was started instead');
+  }
+  
   try {
+    // A replay runs a recorded script, under the output schema it was recorded with
+    const script = options.script || null;
+    if (script) {
+      const scriptError = validateScript(script);
+      if (scriptError) {
+        throw new Error(`Invalid replay script: ${scriptError}`);
+      }
+    }
+    const outputSchema = options.outputSchema || (script && script.outputSchema) || undefined;
+    
     // Create new agent for this task
-    const messageManager = new MessageManager(data.task);
-    clientState.agent = new AgentService({
+    const messageManager = new MessageManager(task, {
+      toolCalling: Boolean(llm.capabilities && llm.capabilities.tools),
+      outputSchema,
+      maxTokens: CONTEXT_OPTIONS.maxTokens,
+      provider: LLM_PROVIDER,
+      model: MODEL_NAME
+    });
+    const Agent = script ? ReplayAgent : AgentService;
+    session.agent = new Agent({
       llm,
-      task: data.task,
+      task,
       messageManager,
-      formatMessages: null // Remove the formatter to avoid double formatting
+      formatMessages: null, // Remove the formatter to avoid double formatting
+      priceTable,
+      maxSteps: options.maxSteps ?? TASK_LIMITS.maxSteps,
+      maxDurationMs: options.maxDurationMs ?? TASK_LIMITS.maxDurationMs,
+      maxConsecutiveFailures: options.maxConsecutiveFailures ?? TASK_LIMITS.maxConsecutiveFailures,
+      maxRepeatedActions: options.maxRepeatedActions ?? TASK_LIMITS.maxRepeatedActions,
+      vision: Boolean(options.vision),
+      outputSchema,
+      summarizeWithLLM: CONTEXT_OPTIONS.summarizeWithLLM,
+      approvalPolicy: APPROVAL_POLICY,
+      script
     });
+    session.task = task;
+    session.resetSteps();
+    
+    const record = tasks.create({ task, clientId: session.id, source, options });
+    record.agent = session.agent;
+    record.session = session;
+    session.taskId = record.id;
     
-    // Update state
-    clientState.isExecuting = true;
-    clientState.task = data.task;
-    clientState.waitingForResult = false;
-    clientState.isGeneratingAction = false; // Add this for action generation tracking
+    if (TRACE_OPTIONS.enabled) {
+      session.agent.attachTrace(new TraceWriter({ taskId: record.id, task, options, dir: TRACE_OPTIONS.dir, maxRuns: TRACE_OPTIONS.maxRuns }));
+    }
     
-    logger.log(`Client ${clientState.id} started task: ${data.task}`);
+    logger.log(`Client ${session.id} started task ${record.id} (${source}): ${task}`);
+    
+    // Tasks from other sources must be announced to the extension (protocol v2+)
+    if (session.protocolVersion >= 2) {
+      ws.send(JSON.stringify({
+        type: 'taskStarted',
+        taskId: record.id,
+        task,
+        source,
+        tabId: options.tabId
+      }));
+    }
     
     // Request DOM state to start processing
-    ws.send(JSON.stringify({
-      type: 'requestDOM'
-    }));
+    requestDOM(ws, session, 'task started');
+    return record;
   } catch (error) {
-    logger.error(`Error starting task for client ${clientState.id}:`, error);
+    logger.error(`Error starting task for client ${session.id}:`, error);
     ws.send(JSON.stringify({
       type: 'error',
       error: `Error starting task: ${error.message}`
     }));
     
     // Reset execution state
-    clientState.isExecuting = false;
-    clientState.task = null;
-    clientState.agent = null;
+    session.task = null;
+    session.agent = null;
+    return null;
+  }
+}
+
+// Handle cancel task request
+function handleCancelTask(ws, session, data) {
+  if (!session.isActive()) {
+    ws.send(JSON.stringify({
+      type: 'error',
+      error: 'No task is in progress'
+    }));
+    return;
+  }
+  
+  cancelTask(ws, session, data.reason || 'Task cancelled by user');
+}
+
+// Cancel the session's running task and tell the extension
+function cancelTask(ws, session, reason) {
+  // Abort any in-flight LLM call and mark the task as finished
+  session.agent.cancel(reason);
+  const finalResult = session.agent.getFinalResult();
+  const usage = session.agent.getUsage();
+  
+  logger.log(`Client ${session.id} cancelled task: ${session.task}`);
+  
+  ws.send(JSON.stringify({
+    type: 'taskCancelled',
+    taskId: session.taskId,
+    task: session.task,
+    result: finalResult.message,
+    success: false,
+    findings: finalResult.findings,
+    usage
+  }));
+  
+  session.approval = null;
+  session.transition(SESSION_STATES.FAILED, 'cancelled');
+  tasks.finish(session.taskId, TASK_STATUS.CANCELLED, { ...finalResult, usage });
+  session.task = null;
+  session.agent = null;
+}
+
+// Run a direct command (controller or MCP) on an idle extension without the LLM: an action
+// from the actionController vocabulary, or a snapshot of the page. Actions the
+// approval policy holds wait for a decision, as the agent's do; options.onHold
+// (record) learns the task record a held action is decided through.
+async function runCommand(ws, session, command, options = {}) {
+  if (session.isActive()) {
+    throw new Error(`Client ${session.id} is running a task`);
+  }
+  if (session.approval) {
+    throw new Error(`Client ${session.id} is waiting for approval of a command`);
+  }
+  
+  if (command.type === 'getDom') {
+    const state = await requestCommandDom(ws, session);
+    return {
+      url: state.url,
+      title: state.title,
+      tabId: state.tabId,
+      interactiveElements: state.data.interactiveElements,
+      elementCount: state.data.elementCount
+    };
+  }
+  
+  const approval = await checkCommandApproval(ws, session, command.action);
+  if (approval) {
+    return holdCommand(ws, session, command.action, approval, options.onHold);
+  }
+  return sendCommand(ws, session, command.action);
+}
+
+// Ask the extension for a snapshot of the page outside any task step
+function requestCommandDom(ws, session) {
+  const { reply, ...ids } = session.expectCommandReply(SESSION_TIMEOUTS.awaiting_dom);
+  ws.send(JSON.stringify({ type: 'requestDOM', screenshot: false, ...ids }));
+  return reply;
+}
+
+// Send a direct action and resolve with its result
+async function sendCommand(ws, session, action) {
+  logger.log(`Client ${session.id} running direct ${action.type} command`);
+  const { reply, ...ids } = session.expectCommandReply(SESSION_TIMEOUTS.acting);
+  ws.send(JSON.stringify({ type: 'action', action, ...ids }));
+  
+  const result = await reply;
+  return {
+    success: result.success,
+    data: result.data || null,
+    error: result.error || null
+  };
+}
+
+// Check a direct action against the approval policy on a fresh snapshot of
+// the page; returns { rule, reason, element, url } or null
+async function checkCommandApproval(ws, session, action) {
+  if (!APPROVAL_POLICY || !APPROVAL_POLICY.appliesTo(action.type)) {
+    return null;
+  }
+  
+  const state = await requestCommandDom(ws, session);
+  const element = describeElement(state, action);
+  const match = APPROVAL_POLICY.match(action, { url: state.url, element });
+  return match ? { ...match, element, url: state.url } : null;
+}
+
+// Hold a direct action for a decision. It gets a task record, so the popup,
+// the REST API and controllers decide on it as on an agent action. Resolves
+// with the command's result; a rejection resolves as a failed action.
+function holdCommand(ws, session, action, approval, onHold) {
+  const record = tasks.create({ task: `Direct ${action.type} command`, clientId: session.id, source: 'command', options: {} });
+  record.session = session;
+  if (onHold) {
+    onHold(record);
+  }
+  
+  session.approval = {
+    id: crypto.randomUUID(),
+    step: 0,
+    action,
+    rule: approval.rule,
+    reason: approval.reason,
+    element: approval.element,
+    url: approval.url,
+    requestedAt: Date.now(),
+    command: true,
+    taskId: record.id
+  };
+  logger.log(`Client ${session.id} holding direct ${action.type} command for approval (${approval.reason})`);
+  
+  const approvalId = session.approval.id;
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => {
+      if (session.approval && session.approval.id === approvalId) {
+        settleCommand(ws, session, 'reject', action, 'No decision was made in time');
+      }
+    }, SESSION_TIMEOUTS.awaiting_approval);
+    heldCommands.set(approvalId, { resolve, timer });
+    
+    const { id, step, command, taskId, ...details } = session.approval;
+    emitTaskEvent(ws, session, 'approvalRequested', { step, approvalId: id, ...details }, taskId);
+  });
+}
+
+// Apply a decision on a held direct command and finish its task record
+function settleCommand(ws, session, decision, action, comment) {
+  const pending = session.approval;
+  const held = heldCommands.get(pending.id);
+  heldCommands.delete(pending.id);
+  clearTimeout(held.timer);
+  session.approval = null;
+  
+  emitTaskEvent(ws, session, 'approvalDecided', {
+    step: 0,
+    approvalId: pending.id,
+    decision,
+    action,
+    comment: comment || null
+  }, pending.taskId);
+  logger.log(`Client ${session.id} decision on held direct ${pending.action.type} command: ${decision}`);
+  
+  if (decision === 'reject') {
+    const error = `Rejected by the user${comment ? `: ${comment}` : ''}`;
+    tasks.finish(pending.taskId, TASK_STATUS.FAILED, { success: false, message: error, reason: 'rejected' });
+    held.resolve({ success: false, data: { rejected: true }, error });
+    return;
+  }
+  
+  held.resolve(sendCommand(ws, session, action).then(result => {
+    tasks.finish(pending.taskId, result.success ? TASK_STATUS.COMPLETED : TASK_STATUS.FAILED, {
+      success: result.success,
+      message: result.error || `${action.type} done`
+    });
+    return result;
+  }, error => {
+    tasks.finish(pending.taskId, TASK_STATUS.FAILED, { success: false, message: error.message });
+    throw error;
+  }));
+}
+
+// Connected extension clients, for API callers choosing where to run a task
+function listClients() {
+  return Array.from(clients.values()).map(session => ({
+    clientId: session.id,
+    user: session.user,
+    tabId: session.tabId,
+    state: session.state,
+    taskId: session.isActive() ? session.taskId : null,
+    connectedAt: session.startTime
+  }));
+}
+
+// Find the connection for an API request: by task, client id or tab id, or
+// else the only idle client. Returns { ws, session } or { error, status }.
+function findClient({ clientId, tabId, taskId }) {
+  const entries = Array.from(clients.entries());
+  let matches;
+  
+  if (taskId) {
+    matches = entries.filter(([, session]) => (session.isActive() && session.taskId === taskId) ||
+      (session.approval && session.approval.taskId === taskId));
+  } else if (clientId !== undefined) {
+    matches = entries.filter(([, session]) => session.id === clientId);
+  } else if (tabId !== undefined) {
+    matches = entries.filter(([, session]) => session.tabId === tabId);
+  } else {
+    matches = entries.filter(([, session]) => !session.isActive());
+  }
+  
+  if (matches.length === 0) {
+    if (taskId) {
+      return { status: 404, error: 'The client running this task is no longer connected' };
+    }
+    if (clientId === undefined && tabId === undefined && entries.length > 0) {
+      return { status: 409, error: 'All connected extension clients are running tasks' };
+    }
+    return { status: 404, error: 'No matching extension client is connected' };
+  }
+  
+  const [ws, session] = matches[0];
+  if (!taskId && session.isActive()) {
+    return { status: 409, error: `Client ${session.id} is already running a task` };
+  }
+  return { ws, session };
+}
+
+// Handle pause task request
+function handlePauseTask(ws, session, data) {
+  if (!session.isActive()) {
+    ws.send(JSON.stringify({
+      type: 'error',
+      error: 'No task is in progress'
+    }));
+    return;
+  }
+  
+  if (session.agent.isPaused()) {
+    ws.send(JSON.stringify({
+      type: 'error',
+      error: 'Task is already paused'
+    }));
+    return;
+  }
+  
+  session.agent.pause();
+  
+  // Between steps the session pauses now; otherwise once the current step ends
+  if (session.is(SESSION_STATES.AWAITING_DOM)) {
+    session.transition(SESSION_STATES.PAUSED, 'paused by user');
+  }
+  
+  tasks.setStatus(session.taskId, TASK_STATUS.PAUSED);
+  logger.log(`Client ${session.id} paused task: ${session.task}`);
+  
+  ws.send(JSON.stringify({
+    type: 'taskPaused',
+    taskId: session.taskId,
+    task: session.task
+  }));
+}
+
+// Handle resume task request
+function handleResumeTask(ws, session, data) {
+  if (!session.isActive() || !session.agent.isPaused()) {
+    ws.send(JSON.stringify({
+      type: 'error',
+      error: 'No paused task to resume'
+    }));
+    return;
+  }
+  
+  session.agent.resume();
+  
+  tasks.setStatus(session.taskId, TASK_STATUS.RUNNING);
+  logger.log(`Client ${session.id} resumed task: ${session.task}`);
+  
+  ws.send(JSON.stringify({
+    type: 'taskResumed',
+    taskId: session.taskId,
+    task: session.task
+  }));
+  
+  // Continue the loop unless the previous step is still running
+  if (session.is(SESSION_STATES.PAUSED)) {
+    requestDOM(ws, session, 'resumed');
   }
 }
 
 // Handle page unload (navigation)
-function handlePageUnload(ws, clientState, data) {
-  logger.log(`Client ${clientState.id} navigated from: ${data.url}`);
+function handlePageUnload(ws, session, data) {
+  logger.log(`Client ${session.id} navigated from: ${data.url}`);
   
   // If task is in progress, we need to adapt
-  if (clientState.isExecuting && clientState.agent) {
+  if (session.isActive() && session.agent) {
     // Tell agent about navigation
-    clientState.agent.handleNavigation(data.url);
+    session.agent.handleNavigation(data.url);
   }
 }
 
@@ -0,0 +1,144 @@
+/**
+ * LLM Errors
+ * Error classification shared by the LLM clients
+ */
+
+/**
+ * Error classes the agent can act on
+ */
+const ERROR_KINDS = {
+  RETRYABLE: 'retryable',     // rate limits, timeouts, 5xx, network failures
+  AUTH: 'auth',               // missing or invalid credentials
+  QUOTA: 'quota',             // billing or quota exhausted; waiting won't help
+  BAD_REQUEST: 'bad_request', // the request itself was rejected
+  CANCELLED: 'cancelled'      // aborted by the caller
+};
+
+/**
+ * LLM Error - provider error tagged with a kind and optional retry delay
+ */
+class LLMError extends Error {
+  constructor(message, options = {}) {
+    super(message);
+    this.name = 'LLMError';
+    this.kind = options.kind || ERROR_KINDS.RETRYABLE;
+    this.provider = options.provider || null;
+    this.status = options.status || null;
+    this.retryAfterMs = options.retryAfterMs ?? null;
+    this.cause = options.cause;
+  }
+
+  /**
+   * Whether the same request may succeed if sent again
+   */
+  isRetryable() {
+    return this.kind === ERROR_KINDS.RETRYABLE;
+  }
+}
+
+/**
+ * Turn an OpenAI SDK or axios error into an LLMError
+ */
+function classifyError(error, provider) {
+  if (error instanceof LLMError) {
+    return error;
+  }
+
+  const status = error.status || error.response?.status || null;
+  const headers = error.headers || error.response?.headers || {};
+  const body = error.error || error.response?.data || {};
+  const detail = describeBody(body) || error.message;
+
+  const options = {
+    provider,
+    status,
+    retryAfterMs: parseRetryAfter(headers),
+    cause: error
+  };
+
+  let kind;
+  if (isCancellation(error)) {
+    kind = ERROR_KINDS.CANCELLED;
+  } else if (!status) {
+    // Timeouts and network failures can be retried; anything else is an unusable response
+    kind = isNetworkError(error) ? ERROR_KINDS.RETRYABLE : ERROR_KINDS.BAD_REQUEST;
+  } else if (status === 401 || status === 403) {
+    kind = ERROR_KINDS.AUTH;
+  } else if (status === 402 || (status === 429 && /insufficient_quota|billing|exceeded your current quota/i.test(detail))) {
+    kind = ERROR_KINDS.QUOTA;
+  } else if (status === 408 || status === 409 || status === 429 || status >= 500) {
+    kind = ERROR_KINDS.RETRYABLE;
+  } else {
+    kind = ERROR_KINDS.BAD_REQUEST;
+  }
+
+  return new LLMError(`${provider} API error (${kind}${status ? `, ${status}` : ''}): ${detail}`, {
+    ...options,
+    kind
+  });
+}
+
+/**
+ * Detect aborts from AbortController, axios and the OpenAI SDK
+ */
+function isCancellation(error) {
+  return error.name === 'AbortError' ||
+    error.name === 'CanceledError' ||
+    error.name === 'APIUserAbortError' ||
+    error.code === 'ERR_CANCELED';
+}
+
+/**
+ * Detect timeouts and connection failures from axios and the OpenAI SDK
+ */
+function isNetworkError(error) {
+  return Boolean(error.code || error.request) ||
+    error.name === 'APIConnectionError' ||
+    error.name === 'APIConnectionTimeoutError';
+}
+
+/**
+ * Read Retry-After (seconds or HTTP date) or retry-after-ms into milliseconds
+ */
+function parseRetryAfter(headers) {
+  const get = name => (typeof headers.get === 'function' ? headers.get(name) : headers[name]);
+
+  const retryAfterMs = get('retry-after-ms');
+  if (retryAfterMs && !isNaN(Number(retryAfterMs))) {
+    return Number(retryAfterMs);
+  }
+
+  const retryAfter = get('retry-after');
+  if (!retryAfter) {
+    return null;
+  }
+
+  if (!isNaN(Number(retryAfter))) {
+    return Number(retryAfter) * 1000;
+  }
+
+  const date = Date.parse(retryAfter);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Pull a readable message out of a provider error body
+ */
+function describeBody(body) {
+  if (!body || typeof body !== 'object') {
+    return typeof body === 'string' ? body : '';
+  }
+
+  const inner = body.error || body;
+  if (typeof inner === 'string') {
+    return inner;
+  }
+
+  return [inner.type || inner.status || inner.code, inner.message].filter(Boolean).join(': ');
+}
+
+module.exports = {
+  ERROR_KINDS,
+  LLMError,
+  classifyError
+};
@@ -0,0 +1,83 @@
+/**
+ * LLM Pricing
+ * Price table and cost calculation for token usage
+ */
+
+const fs = require('fs');
+
+/**
+ * Default prices in USD per million tokens, keyed by model name prefix.
+ * Override or extend with LLM_PRICES (JSON) or LLM_PRICES_FILE.
+ */
+const DEFAULT_PRICES = {
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4-turbo': { input: 10, output: 30 },
+  'gpt-4-1106-preview': { input: 10, output: 30 },
+  'gpt-4': { input: 30, output: 60 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-3-7-sonnet': { input: 3, output: 15 },
+  'claude-3-opus': { input: 15, output: 75 },
+  'claude-3-haiku': { input: 0.25, output: 1.25 },
+  'claude-2': { input: 8, output: 24 },
+  'gemini-1.5-flash': { input: 0.075, output: 0.3 },
+  'gemini-1.5-pro': { input: 1.25, output: 5 },
+  'gemini-2.0-flash': { input: 0.1, output: 0.4 },
+  'gemini-pro': { input: 0.5, output: 1.5 },
+  'mock': { input: 0, output: 0 }
+};
+
+/**
+ * Build the price table from the defaults and any configured overrides
+ */
+function loadPriceTable(env = process.env) {
+  let overrides = {};
+
+  if (env.LLM_PRICES_FILE) {
+    overrides = JSON.parse(fs.readFileSync(env.LLM_PRICES_FILE, 'utf8'));
+  } else if (env.LLM_PRICES) {
+    overrides = JSON.parse(env.LLM_PRICES);
+  }
+
+  return { ...DEFAULT_PRICES, ...overrides };
+}
+
+/**
+ * Find the price entry for a model, preferring the longest matching prefix
+ */
+function getModelPrice(model, priceTable = DEFAULT_PRICES) {
+  if (!model) {
+    return null;
+  }
+
+  if (priceTable[model]) {
+    return priceTable[model];
+  }
+
+  const prefix = Object.keys(priceTable)
+    .filter(key => model.startsWith(key))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return prefix ? priceTable[prefix] : null;
+}
+
+/**
+ * Cost in USD of { promptTokens, completionTokens }, or null if the model has no price
+ */
+function calculateCost(model, usage, priceTable = DEFAULT_PRICES) {
+  const price = getModelPrice(model, priceTable);
+  if (!price) {
+    return null;
+  }
+
+  return (usage.promptTokens * price.input + usage.completionTokens * price.output) / 1000000;
+}
+
+module.exports = {
+  DEFAULT_PRICES,
+  loadPriceTable,
+  getModelPrice,
+  calculateCost
+};
@@ -0,0 +1,94 @@
+/**
+ * LLM Retry
+ * Exponential backoff with jitter for LLM requests
+ */
+
+const { LLMError, ERROR_KINDS, classifyError } = require('./errors');
+const logger = require('../utils/logger'); // Import our logger
+
+/**
+ * Default request policy; clients override these from setupLLM options
+ */
+const DEFAULT_RETRY_OPTIONS = {
+  timeoutMs: 60000,
+  maxRetries: 3,
+  baseDelayMs: 1000,
+  maxDelayMs: 30000
+};
+
+/**
+ * Run request(), retrying retryable failures. Honors Retry-After in full,
+ * giving up when it asks for longer than maxDelayMs, and the caller's abort
+ * signal. Always rejects with an LLMError.
+ */
+async function withRetry(request, options = {}) {
+  const { provider, signal } = options;
+  const maxRetries = options.maxRetries ?? DEFAULT_RETRY_OPTIONS.maxRetries;
+  const baseDelayMs = options.baseDelayMs ?? DEFAULT_RETRY_OPTIONS.baseDelayMs;
+  const maxDelayMs = options.maxDelayMs ?? DEFAULT_RETRY_OPTIONS.maxDelayMs;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await request();
+    } catch (rawError) {
+      const error = classifyError(rawError, provider);
+
+      if (!error.isRetryable() || attempt >= maxRetries || (signal && signal.aborted)) {
+        throw error;
+      }
+
+      // Retrying before the server allows it only earns another rate limit
+      if (error.retryAfterMs !== null && error.retryAfterMs > maxDelayMs) {
+        logger.warn(`${provider} asked to retry after ${error.retryAfterMs}ms, longer than the ${maxDelayMs}ms limit; giving up`);
+        throw error;
+      }
+
+      const delay = getRetryDelay(error, attempt, baseDelayMs, maxDelayMs);
+      logger.warn(`${provider} request failed (${error.message}); retrying in ${delay}ms (${attempt + 1}/${maxRetries})`);
+
+      await sleep(delay, signal, provider);
+    }
+  }
+}
+
+/**
+ * Use the server's Retry-After if given, otherwise exponential backoff with jitter
+ */
+function getRetryDelay(error, attempt, baseDelayMs, maxDelayMs) {
+  if (error.retryAfterMs !== null) {
+    return error.retryAfterMs;
+  }
+
+  const exponential = Math.min(maxDelayMs, baseDelayMs * Math.pow(2, attempt));
+  return Math.round(exponential / 2 + Math.random() * exponential / 2);
+}
+
+/**
+ * Wait for ms, rejecting early if the signal aborts
+ */
+function sleep(ms, signal, provider) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(new LLMError(`${provider} request cancelled`, { kind: ERROR_KINDS.CANCELLED, provider }));
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new LLMError(`${provider} request cancelled`, { kind: ERROR_KINDS.CANCELLED, provider }));
+    };
+
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+module.exports = {
+  DEFAULT_RETRY_OPTIONS,
+  withRetry,
+  sleep
+};
@@ -3,25 +3,61 @@
  * Configures and provides LLM clients for different providers
  */
 
+const fs = require('fs');
 const { OpenAI } = require('openai');
 const axios = require('axios');
+const { toOpenAITools, toAnthropicTools, toGeminiTools } = require('./tools');
+const { DEFAULT_RETRY_OPTIONS, withRetry } = require('./retry');
+const { LLMError, classifyError } = require('./errors');
 const logger = require('../utils/logger'); // Import our logger
 
 /**
- * Factory function to create the appropriate LLM client
+ * Default endpoints for OpenAI-compatible local servers
  */
-function setupLLM(provider, model, apiKey) {
+const LOCAL_BASE_URLS = {
+  local: 'http://localhost:11434/v1',
+  ollama: 'http://localhost:11434/v1',
+  llamacpp: 'http://localhost:8080/v1',
+  vllm: 'http://localhost:8000/v1'
+};
+
+/**
+ * Factory function to create the appropriate LLM client.
+ * options: { timeoutMs, maxRetries, baseDelayMs, maxDelayMs } and, for local
+ * providers, { baseUrl, chatPath, capabilities }; for the mock provider,
+ * { fixture | fixturePath, recordPath }
+ */
+function setupLLM(provider, model, apiKey, options = {}) {
+  const providerName = provider.toLowerCase();
+
+  // Scripted responses for offline runs
+  if (providerName === 'mock') {
+    const fixture = options.fixture || options.fixturePath;
+    if (!fixture) {
+      throw new Error('Mock provider requires a fixture; set LLM_FIXTURE to a fixture file');
+    }
+    return new MockClient(fixture, options);
+  }
+
+  // Local servers usually run without authentication
+  if (LOCAL_BASE_URLS[providerName]) {
+    return new LocalClient(apiKey, model, {
+      ...options,
+      baseUrl: options.baseUrl || LOCAL_BASE_URLS[providerName]
+    });
+  }
+
   if (!apiKey) {
     throw new Error(`API key required for ${provider}`);
   }
 
-  switch (provider.toLowerCase()) {
+  switch (providerName) {
     case 'openai':
-      return new OpenAIClient(apiKey, model);
+      return new OpenAIClient(apiKey, model, options);
     case 'anthropic':
-      return new AnthropicClient(apiKey, model);
+      return new AnthropicClient(apiKey, model, options);
     case 'gemini':
-      return new GeminiClient(apiKey, model);
+      return new GeminiClient(apiKey, model, options);
     default:
       throw new Error(`Unsupported LLM provider: ${provider}`);
   }
@@ -31,24 +67,45 @@ function setupLLM(provider, model, apiKey) {
  * OpenAI client implementation
  */
 class OpenAIClient {
-  constructor(apiKey, model = 'gpt-4-1106-preview') {
-    this.client = new OpenAI({ apiKey });
+  constructor(apiKey, model = 'gpt-4-1106-preview', options = {}) {
+    this.retryOptions = { ...DEFAULT_RETRY_OPTIONS, ...options };
+    // Retries are handled by withRetry so every provider behaves the same
+    this.client = new OpenAI({ apiKey, maxRetries: 0, timeout: this.retryOptions.timeoutMs });
     this.model = model;
+    this.capabilities = { tools: true, jsonMode: true, vision: true };
   }
 
-  async generateResponse(messages) {
+  /**
+   * Returns { content, toolCalls, usage } where toolCalls is [{ name, arguments }]
+   * and usage is { promptTokens, completionTokens }.
+   * Throws an LLMError whose kind tells the caller whether to wait or give up.
+   */
+  async generateResponse(messages, options = {}) {
     try {
-      const response = await this.client.chat.completions.create({
+      const request = {
         model: this.model,
-        messages: messages,
+        messages: toChatCompletionMessages(messages, this.capabilities.vision),
         temperature: 0.2,
         max_tokens: 2048
-      });
+      };
+      
+      if (options.tools && options.tools.length > 0) {
+        request.tools = toOpenAITools(options.tools);
+        request.tool_choice = 'required';
+      } else if (options.jsonMode) {
+        request.response_format = { type: 'json_object' };
+      }
+      
+      const response = await withRetry(
+        () => this.client.chat.completions.create(request, { signal: options.signal }),
+        { ...this.retryOptions, provider: 'OpenAI', signal: options.signal }
+      );
 
-      return response.choices[0].message.content;
+      return parseChatCompletionResponse(response);
     } catch (error) {
-      logger.error('OpenAI API error:', error);
-      throw new Error(`OpenAI API error: ${error.message}`);
+      const llmError = classifyError(error, 'OpenAI');
+      logger.error('OpenAI API error:', llmError.message);
+      throw llmError;
     }
   }
 }
@@ -57,38 +114,63 @@ class OpenAIClient {
  * Anthropic client implementation
  */
 class AnthropicClient {
-  constructor(apiKey, model = 'claude-2') {
+  constructor(apiKey, model = 'claude-2', options = {}) {
+    this.retryOptions = { ...DEFAULT_RETRY_OPTIONS, ...options };
     this.apiKey = apiKey;
     this.model = model;
     this.apiUrl = 'https://api.anthropic.com/v1/messages';
+    this.capabilities = { tools: true, jsonMode: false, vision: true };
   }
 
-  async generateResponse(messages) {
+  async generateResponse(messages, options = {}) {
     try {
       // Convert from ChatML format to Anthropic format
       const promptMessages = this.convertToAnthropicFormat(messages);
       
-      const response = await axios.post(
-        this.apiUrl,
-        {
-          model: this.model,
-          messages: promptMessages,
-          max_tokens: 2048,
-          temperature: 0.2
-        },
-        {
-          headers: {
-            'Content-Type': 'application/json',
-            'x-api-key': this.apiKey,
-            'anthropic-version': '2023-06-01'
+      const request = {
+        model: this.model,
+        messages: promptMessages,
+        max_tokens: 2048,
+        temperature: 0.2
+      };
+      
+      if (options.tools && options.tools.length > 0) {
+        request.tools = toAnthropicTools(options.tools);
+        request.tool_choice = { type: 'any' };
+      }
+      
+      const response = await withRetry(
+        () => axios.post(
+          this.apiUrl,
+          request,
+          {
+            headers: {
+              'Content-Type': 'application/json',
+              'x-api-key': this.apiKey,
+              'anthropic-version': '2023-06-01'
+            },
+            timeout: this.retryOptions.timeoutMs,
+            signal: options.signal
           }
-        }
+        ),
+        { ...this.retryOptions, provider: 'Anthropic', signal: options.signal }
       );
 
-      return response.data.content[0].text;
+      const blocks = response.data.content || [];
+      return {
+        content: blocks.filter(block => block.type === 'text').map(block => block.text).join('\n'),
+        toolCalls: blocks
+          .filter(block => block.type === 'tool_use')
+          .map(block => ({ name: block.name, arguments: block.input })),
+        usage: {
+          promptTokens: response.data.usage?.input_tokens || 0,
+          completionTokens: response.data.usage?.output_tokens || 0
+        }
+      };
     } catch (error) {
-      logger.error('Anthropic API error:', error.response?.data || error.message);
-      throw new Error(`Anthropic API error: ${error.message}`);
+      const llmError = classifyError(error, 'Anthropic');
+      logger.error('Anthropic API error:', llmError.message);
+      throw llmError;
     }
   }
 
@@ -112,6 +194,21 @@ class AnthropicClient {
         role = 'user';
       }
       
+      // Attach screenshots as base64 image blocks
+      if (message.images && message.images.length > 0) {
+        result.push({
+          role,
+          content: [
+            { type: 'text', text: message.content },
+            ...message.images.map(image => ({
+              type: 'image',
+              source: { type: 'base64', media_type: image.mimeType, data: image.data }
+            }))
+          ]
+        });
+        continue;
+      }
+      
       result.push({
         role,
         content: message.content
@@ -126,38 +223,64 @@ class AnthropicClient {
  * Gemini client implementation
  */
 class GeminiClient {
-  constructor(apiKey, model = 'gemini-pro') {
+  constructor(apiKey, model = 'gemini-pro', options = {}) {
+    this.retryOptions = { ...DEFAULT_RETRY_OPTIONS, ...options };
     this.apiKey = apiKey;
     this.model = model;
     this.apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent`;
+    this.capabilities = { tools: true, jsonMode: true, vision: true };
   }
 
-  async generateResponse(messages) {
+  async generateResponse(messages, options = {}) {
     try {
       // Convert ChatML format to Gemini format
       const geminiMessages = this.convertToGeminiFormat(messages);
       
-      const response = await axios.post(
-        `${this.apiUrl}?key=${this.apiKey}`,
-        {
-          contents: geminiMessages,
-          generationConfig: {
-            temperature: 0.2,
-            maxOutputTokens: 2048
-          }
-        },
-        {
-          headers: {
-            'Content-Type': 'application/json'
-          }
+      const request = {
+        contents: geminiMessages,
+        generationConfig: {
+          temperature: 0.2,
+          maxOutputTokens: 2048
         }
+      };
+      
+      if (options.tools && options.tools.length > 0) {
+        request.tools = toGeminiTools(options.tools);
+        request.toolConfig = { functionCallingConfig: { mode: 'ANY' } };
+      } else if (options.jsonMode) {
+        request.generationConfig.responseMimeType = 'application/json';
+      }
+      
+      const response = await withRetry(
+        () => axios.post(
+          `${this.apiUrl}?key=${this.apiKey}`,
+          request,
+          {
+            headers: {
+              'Content-Type': 'application/json'
+            },
+            timeout: this.retryOptions.timeoutMs,
+            signal: options.signal
+          }
+        ),
+        { ...this.retryOptions, provider: 'Gemini', signal: options.signal }
       );
 
-      const responseText = response.data.candidates[0].content.parts[0].text;
-      return responseText;
+      const parts = response.data.candidates[0].content.parts || [];
+      return {
+        content: parts.filter(part => part.text).map(part => part.text).join('\n'),
+        toolCalls: parts
+          .filter(part => part.functionCall)
+          .map(part => ({ name: part.functionCall.name, arguments: part.functionCall.args || {} })),
+        usage: {
+          promptTokens: response.data.usageMetadata?.promptTokenCount || 0,
+          completionTokens: response.data.usageMetadata?.candidatesTokenCount || 0
+        }
+      };
     } catch (error) {
-      logger.error('Gemini API error:', error.response?.data || error.message);
-      throw new Error(`Gemini API error: ${error.message}`);
+      const llmError = classifyError(error, 'Gemini');
+      logger.error('Gemini API error:', llmError.message);
+      throw llmError;
     }
   }
 
@@ -186,11 +309,20 @@ class GeminiClient {
         content = `${systemMessage}\n\n${content}`;
       }
       
+      const parts = [{
+        text: content
+      }];
+      
+      // Attach screenshots as inline image data
+      for (const image of message.images || []) {
+        parts.push({
+          inline_data: { mime_type: image.mimeType, data: image.data }
+        });
+      }
+      
       result.push({
         role,
-        parts: [{
-          text: content
-        }]
+        parts
       });
     }
     
@@ -198,4 +330,266 @@ class GeminiClient {
   }
 }
 
+/**
+ * OpenAI-compatible client for local servers (Ollama, llama.cpp, vLLM).
+ * The API key is optional and capabilities depend on the served model.
+ */
+class LocalClient {
+  constructor(apiKey, model, options = {}) {
+    this.retryOptions = { ...DEFAULT_RETRY_OPTIONS, ...options };
+    this.apiKey = apiKey;
+    this.model = model;
+    this.apiUrl = `${(options.baseUrl || LOCAL_BASE_URLS.local).replace(/\/+$/, '')}${options.chatPath || '/chat/completions'}`;
+    this.capabilities = {
+      tools: false,
+      jsonMode: false,
+      vision: false,
+      ...options.capabilities
+    };
+  }
+
+  async generateResponse(messages, options = {}) {
+    try {
+      const request = {
+        model: this.model,
+        messages: toChatCompletionMessages(messages, this.capabilities.vision),
+        temperature: 0.2,
+        max_tokens: 2048
+      };
+      
+      if (options.tools && options.tools.length > 0 && this.capabilities.tools) {
+        request.tools = toOpenAITools(options.tools);
+        request.tool_choice = 'required';
+      } else if (options.jsonMode && this.capabilities.jsonMode) {
+        request.response_format = { type: 'json_object' };
+      }
+      
+      const headers = { 'Content-Type': 'application/json' };
+      if (this.apiKey) {
+        headers.Authorization = `Bearer ${this.apiKey}`;
+      }
+      
+      const response = await withRetry(
+        () => axios.post(this.apiUrl, request, {
+          headers,
+          timeout: this.retryOptions.timeoutMs,
+          signal: options.signal
+        }),
+        { ...this.retryOptions, provider: 'Local', signal: options.signal }
+      );
+
+      return parseChatCompletionResponse(response.data);
+    } catch (error) {
+      const llmError = classifyError(error, 'Local');
+      logger.error('Local LLM error:', llmError.message);
+      throw llmError;
+    }
+  }
+}
+
+/**
+ * Mock client that replays scripted responses from a fixture.
+ *
+ * Fixture format (JSON file or object):
+ *   {
+ *     "sequence": [response, ...],           // returned in order, or
+ *     "rules": [{ "match": { "url": "...", "xpath": "..." }, "response": response }],
+ *     "default": response,                   // used when nothing else applies
+ *     "capabilities": { "tools": true }
+ *   }
+ *
+ * A response is a string (text content), { "tool": name, "arguments": {...} },
+ * { "content": "..." } or { "error": { "kind": "retryable", "message": "..." } };
+ * tool and content responses may carry "usage": { "promptTokens", "completionTokens" }.
+ * Rule "url" is a regular expression tested against the latest state's URL and
+ * "xpath" must appear in its element list. Every prompt is kept in this.prompts
+ * and, with recordPath, appended to that file as JSON lines.
+ */
+class MockClient {
+  constructor(fixture, options = {}) {
+    this.fixture = typeof fixture === 'string' ?
+      JSON.parse(fs.readFileSync(fixture, 'utf8')) :
+      fixture;
+    
+    if (!this.fixture) {
+      throw new Error('Mock provider requires a fixture');
+    }
+    
+    this.model = 'mock';
+    this.recordPath = options.recordPath || null;
+    this.sequenceIndex = 0;
+    this.prompts = [];
+    this.capabilities = {
+      tools: true,
+      jsonMode: false,
+      vision: false,
+      ...this.fixture.capabilities
+    };
+  }
+
+  async generateResponse(messages, options = {}) {
+    this.recordPrompt(messages, options);
+    
+    if (options.signal && options.signal.aborted) {
+      throw new LLMError('Mock request cancelled', { kind: 'cancelled', provider: 'Mock' });
+    }
+    
+    const response = this.selectResponse(messages);
+    if (response === undefined) {
+      throw new LLMError('Mock fixture has no response for this prompt', { kind: 'bad_request', provider: 'Mock' });
+    }
+    
+    return this.toResponse(response);
+  }
+
+  /**
+   * Pick the scripted response for the current prompt
+   */
+  selectResponse(messages) {
+    if (Array.isArray(this.fixture.sequence) && this.sequenceIndex < this.fixture.sequence.length) {
+      return this.fixture.sequence[this.sequenceIndex++];
+    }
+    
+    if (Array.isArray(this.fixture.rules)) {
+      const state = this.getLatestState(messages);
+      const rule = this.fixture.rules.find(candidate => this.matchesRule(candidate.match || {}, state));
+      if (rule) {
+        return rule.response;
+      }
+    }
+    
+    return this.fixture.default;
+  }
+
+  /**
+   * Check a rule against the latest state message
+   */
+  matchesRule(match, state) {
+    if (match.url && !(state.url && new RegExp(match.url).test(state.url))) {
+      return false;
+    }
+    if (match.xpath && !state.content.includes(`xpath="${match.xpath}"`)) {
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Find the most recent DOM state message and its URL
+   */
+  getLatestState(messages) {
+    for (let i = messages.length - 1; i >= 0; i--) {
+      const content = typeof messages[i].content === 'string' ? messages[i].content : '';
+      const urlMatch = content.match(/Current URL: (\S+)/);
+      if (messages[i].role === 'user' && urlMatch) {
+        return { url: urlMatch[1], content };
+      }
+    }
+    return { url: null, content: '' };
+  }
+
+  /**
+   * Turn a fixture entry into { content, toolCalls }
+   */
+  toResponse(response) {
+    const usage = { promptTokens: 0, completionTokens: 0, ...(response && response.usage) };
+    
+    if (typeof response === 'string') {
+      return { content: response, toolCalls: [], usage };
+    }
+    
+    if (response.error) {
+      throw new LLMError(response.error.message || 'Mock error', {
+        kind: response.error.kind || 'retryable',
+        status: response.error.status,
+        retryAfterMs: response.error.retryAfterMs,
+        provider: 'Mock'
+      });
+    }
+    
+    return {
+      content: response.content || '',
+      toolCalls: response.tool ? [{ name: response.tool, arguments: response.arguments || {} }] : [],
+      usage
+    };
+  }
+
+  /**
+   * Keep every prompt for inspection and optionally append it to the record file
+   */
+  recordPrompt(messages, options) {
+    const entry = {
+      timestamp: Date.now(),
+      messages,
+      tools: (options.tools || []).map(tool => tool.name),
+      jsonMode: Boolean(options.jsonMode)
+    };
+    
+    this.prompts.push(entry);
+    
+    if (this.recordPath) {
+      fs.appendFileSync(this.recordPath, JSON.stringify(entry) + '\n');
+    }
+  }
+}
+
+/**
+ * Convert messages for chat completions APIs, turning attached screenshots
+ * into image_url parts when the model accepts images
+ */
+function toChatCompletionMessages(messages, vision) {
+  return messages.map(message => {
+    const { images, ...rest } = message;
+    
+    if (!vision || !images || images.length === 0) {
+      return rest;
+    }
+    
+    return {
+      ...rest,
+      content: [
+        { type: 'text', text: message.content },
+        ...images.map(image => ({
+          type: 'image_url',
+          image_url: { url: `data:${image.mimeType};base64,${image.data}` }
+        }))
+      ]
+    };
+  });
+}
+
+/**
+ * Map a chat completions response onto { content, toolCalls, usage }
+ */
+function parseChatCompletionResponse(response) {
+  const message = response.choices[0].message;
+  return {
+    content: message.content || '',
+    toolCalls: (message.tool_calls || []).map(call => ({
+      name: call.function.name,
+      arguments: parseToolArguments(call.function.arguments)
+    })),
+    usage: {
+      promptTokens: response.usage?.prompt_tokens || 0,
+      completionTokens: response.usage?.completion_tokens || 0
+    }
+  };
+}
+
+/**
+ * Tool arguments arrive as a JSON string from OpenAI-style APIs; keep the raw
+ * string when it does not parse so validation can report it
+ */
+function parseToolArguments(args) {
+  if (typeof args !== 'string') {
+    return args || {};
+  }
+  
+  try {
+    return JSON.parse(args);
+  } catch (error) {
+    return args;
+  }
+}
+
 module.exports = { setupLLM };
\ No newline at end of file
@@ -0,0 +1,67 @@
+/**
+ * LLM Tokenizer
+ * Per-provider token counting for context budgeting
+ */
+
+const { getEncoding, encodingForModel } = require('js-tiktoken');
+
+// Encoders are large; build each one once
+const encoderCache = new Map();
+
+/**
+ * Get a tiktoken encoder for a model, falling back to cl100k_base
+ */
+function getEncoder(model) {
+  const key = model || 'cl100k_base';
+  if (encoderCache.has(key)) {
+    return encoderCache.get(key);
+  }
+
+  let encoder;
+  try {
+    encoder = model ? encodingForModel(model) : getEncoding('cl100k_base');
+  } catch (error) {
+    encoder = getEncoding('cl100k_base');
+  }
+
+  encoderCache.set(key, encoder);
+  return encoder;
+}
+
+/**
+ * Create a tokenizer with count(text) for the given provider and model.
+ * OpenAI-style providers use tiktoken. Anthropic and Gemini do not publish
+ * local tokenizers, so their counts scale cl100k_base by the observed ratio.
+ */
+function createTokenizer(provider = 'openai', model = null) {
+  const providerName = (provider || 'openai').toLowerCase();
+
+  switch (providerName) {
+    case 'anthropic':
+      return scaledTokenizer(getEncoder(null), 1.15);
+    case 'gemini':
+      return scaledTokenizer(getEncoder(null), 1.0);
+    case 'openai':
+      return scaledTokenizer(getEncoder(model), 1.0);
+    default:
+      // Local and mock models: cl100k_base is a reasonable middle ground
+      return scaledTokenizer(getEncoder(null), 1.0);
+  }
+}
+
+/**
+ * Wrap an encoder with a correction factor
+ */
+function scaledTokenizer(encoder, factor) {
+  return {
+    count(text) {
+      if (!text) {
+        return 0;
+      }
+      // Page text may contain special-token strings; count them rather than throwing
+      return Math.ceil(encoder.encode(text, 'all').length * factor);
+    }
+  };
+}
+
+module.exports = { createTokenizer };
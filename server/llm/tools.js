@@ -0,0 +1,239 @@
+/**
+ * LLM Tools
+ * Typed tool definitions for the actions the extension can execute
+ */
+
+/**
+ * Reasoning the model attaches to every tool call
+ */
+const CURRENT_STATE_SCHEMA = {
+  type: 'object',
+  description: 'Your reasoning about the current page',
+  properties: {
+    evaluation: {
+      type: 'string',
+      description: 'Your analysis of the current page state and whether the previous action worked'
+    },
+    next_goal: {
+      type: 'string',
+      description: 'What you want to accomplish with this action'
+    }
+  },
+  required: ['evaluation', 'next_goal']
+};
+
+const XPATH_PROPERTY = {
+  type: 'string',
+  description: 'Full XPath of the target element, copied from the [xpath="..."] attribute'
+};
+
+/**
+ * Action tools - one per action type supported by ActionController
+ */
+const ACTION_TOOLS = [
+  {
+    name: 'click_element',
+    description: 'Click on an element identified by its XPath',
+    parameters: {
+      type: 'object',
+      properties: {
+        current_state: CURRENT_STATE_SCHEMA,
+        xpath: XPATH_PROPERTY
+      },
+      required: ['current_state', 'xpath']
+    }
+  },
+  {
+    name: 'input_text',
+    description: 'Type text into an input field, replacing its current value',
+    parameters: {
+      type: 'object',
+      properties: {
+        current_state: CURRENT_STATE_SCHEMA,
+        xpath: XPATH_PROPERTY,
+        text: {
+          type: 'string',
+          description: 'Text to type into the element'
+        }
+      },
+      required: ['current_state', 'xpath', 'text']
+    }
+  },
+  {
+    name: 'extract_content',
+    description: 'Extract information from the page, such as text, links, images or tables',
+    parameters: {
+      type: 'object',
+      properties: {
+        current_state: CURRENT_STATE_SCHEMA,
+        goal: {
+          type: 'string',
+          description: 'What to extract, e.g. "page text", "links", "tables"'
+        },
+        name: {
+          type: 'string',
+          description: 'Short name to save the extracted content under, e.g. "order_total"'
+        }
+      },
+      required: ['current_state', 'goal']
+    }
+  },
+  {
+    name: 'scroll',
+    description: 'Scroll the page up or down',
+    parameters: {
+      type: 'object',
+      properties: {
+        current_state: CURRENT_STATE_SCHEMA,
+        direction: {
+          type: 'string',
+          enum: ['up', 'down'],
+          description: 'Scroll direction'
+        },
+        amount: {
+          type: 'number',
+          description: 'Pixels to scroll (defaults to half the viewport)'
+        }
+      },
+      required: ['current_state', 'direction']
+    }
+  },
+  {
+    name: 'wait',
+    description: 'Wait for the page to update',
+    parameters: {
+      type: 'object',
+      properties: {
+        current_state: CURRENT_STATE_SCHEMA,
+        seconds: {
+          type: 'number',
+          description: 'Seconds to wait (default 1)'
+        }
+      },
+      required: ['current_state']
+    }
+  },
+  {
+    name: 'done',
+    description: 'Mark the task as complete and report the result',
+    parameters: {
+      type: 'object',
+      properties: {
+        current_state: CURRENT_STATE_SCHEMA,
+        text: {
+          type: 'string',
+          description: 'Final answer or summary of what was done'
+        },
+        success: {
+          type: 'boolean',
+          description: 'Whether the task was completed successfully'
+        }
+      },
+      required: ['current_state', 'text', 'success']
+    }
+  }
+];
+
+/**
+ * Action tools for a task; with an output schema, done requires a typed 'data' argument
+ */
+function buildActionTools(options = {}) {
+  if (!options.outputSchema) {
+    return ACTION_TOOLS;
+  }
+
+  return ACTION_TOOLS.map(tool => {
+    if (tool.name !== 'done') {
+      return tool;
+    }
+
+    return {
+      ...tool,
+      parameters: {
+        ...tool.parameters,
+        properties: {
+          ...tool.parameters.properties,
+          data: {
+            ...options.outputSchema,
+            description: 'Structured result matching the required output schema'
+          }
+        },
+        required: [...tool.parameters.required, 'data']
+      }
+    };
+  });
+}
+
+/**
+ * Convert tools to the OpenAI chat completions format
+ */
+function toOpenAITools(tools) {
+  return tools.map(tool => ({
+    type: 'function',
+    function: {
+      name: tool.name,
+      description: tool.description,
+      parameters: tool.parameters
+    }
+  }));
+}
+
+/**
+ * Convert tools to the Anthropic messages format
+ */
+function toAnthropicTools(tools) {
+  return tools.map(tool => ({
+    name: tool.name,
+    description: tool.description,
+    input_schema: tool.parameters
+  }));
+}
+
+/**
+ * Convert tools to Gemini function declarations
+ */
+function toGeminiTools(tools) {
+  return [{
+    functionDeclarations: tools.map(tool => ({
+      name: tool.name,
+      description: tool.description,
+      parameters: toGeminiSchema(tool.parameters)
+    }))
+  }];
+}
+
+/**
+ * Gemini uses an OpenAPI schema subset with upper-case type names
+ */
+function toGeminiSchema(schema) {
+  // Nullable unions such as ["string", "null"] collapse to their first real type
+  const type = Array.isArray(schema.type) ?
+    schema.type.find(t => t !== 'null') :
+    schema.type;
+  const result = { type: (type || 'object').toUpperCase() };
+
+  if (schema.description) result.description = schema.description;
+  if (schema.enum) result.enum = schema.enum;
+  if (schema.required) result.required = schema.required;
+
+  if (schema.properties) {
+    result.properties = {};
+    Object.keys(schema.properties).forEach(key => {
+      result.properties[key] = toGeminiSchema(schema.properties[key]);
+    });
+  }
+
+  if (schema.items) {
+    result.items = toGeminiSchema(schema.items);
+  }
+
+  return result;
+}
+
+module.exports = {
+  ACTION_TOOLS,
+  buildActionTools,
+  toOpenAITools,
+  toAnthropicTools,
+  toGeminiTools
+};
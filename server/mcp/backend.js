@@ -0,0 +1,91 @@
+/**
+ * MCP Backend
+ * In-process counterpart of the Node SDK session, for MCP tools served by
+ * the agent server itself
+ */
+
+/**
+ * Build a backend from the server's own functions. deps:
+ *   registry    TaskRegistry holding every task
+ *   findClient  ({ clientId, tabId }) => { ws, session } or { error, status }
+ *   startTask   (ws, session, task, options, source) => task record
+ *   cancelTask  (ws, session, reason) => void
+ *   runCommand  (ws, session, message) => promise of the command's result
+ * The target extension is the only idle one.
+ */
+function createLocalBackend(deps) {
+  // Resolve the extension to drive, or throw
+  function findTarget() {
+    const target = deps.findClient({});
+    if (target.error) {
+      throw new Error(target.error);
+    }
+    return target;
+  }
+
+  return {
+    getDom() {
+      const target = findTarget();
+      return deps.runCommand(target.ws, target.session, { type: 'getDom' });
+    },
+
+    async action(action) {
+      const target = findTarget();
+      const result = await deps.runCommand(target.ws, target.session, { type: 'command', action });
+      if (!result.success) {
+        throw new Error(result.error || `${action.type} failed`);
+      }
+      return result.data;
+    },
+
+    run(task, options = {}, signal) {
+      if (signal && signal.aborted) {
+        throw new Error('Task request was cancelled');
+      }
+      const target = findTarget();
+      const record = deps.startTask(target.ws, target.session, task, options, 'mcp');
+      if (!record) {
+        throw new Error('Task could not be started');
+      }
+
+      // Nobody is left to receive the result; stop the browser working. The
+      // cancellation finishes the task, which settles the promise below
+      const onAbort = () => {
+        const running = deps.findClient({ clientId: record.clientId, taskId: record.id });
+        if (!running.error && !deps.registry.isFinished(record)) {
+          deps.cancelTask(running.ws, running.session, 'MCP client disconnected');
+        }
+      };
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+
+      return new Promise(resolve => {
+        const onEvent = (event) => {
+          if (event.taskId !== record.id || event.event !== 'finished') {
+            return;
+          }
+          deps.registry.off('taskEvent', onEvent);
+          if (signal) {
+            signal.removeEventListener('abort', onAbort);
+          }
+
+          const result = event.result || {};
+          resolve({
+            taskId: record.id,
+            status: event.status,
+            success: Boolean(result.success),
+            result: result.message,
+            reason: result.reason,
+            data: result.data,
+            findings: result.findings || [],
+            usage: result.usage
+          });
+        };
+        deps.registry.on('taskEvent', onEvent);
+      });
+    }
+  };
+}
+
+module.exports = { createLocalBackend };
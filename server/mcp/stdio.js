@@ -0,0 +1,57 @@
+/**
+ * MCP over stdio
+ * Launched by an MCP host; reaches the running agent server through the
+ * Node SDK. stdout carries the protocol, so diagnostics go to stderr.
+ * Needs Node 18 or later, as the MCP SDK does.
+ *
+ *   AGENT_SERVER_URL=ws://localhost:3000 AUTH_TOKEN=... node mcp/stdio.js
+ */
+
+const dotenv = require('dotenv');
+const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio.js');
+const { connect } = require('../client');
+const { createMcpServer } = require('./tools');
+
+dotenv.config();
+
+// Configuration
+const SERVER_URL = process.env.AGENT_SERVER_URL || `ws://localhost:${process.env.PORT || 3000}`;
+const AUTH_TOKEN = process.env.AUTH_TOKEN;
+const CLIENT_ID = process.env.MCP_CLIENT_ID ? parseInt(process.env.MCP_CLIENT_ID, 10) : undefined;
+const MCP_RUN_TASK = process.env.MCP_RUN_TASK !== 'false';
+
+// Connect on first use and again after the server restarts
+let sessionPromise = null;
+
+function getSession() {
+  if (!sessionPromise) {
+    sessionPromise = connect(SERVER_URL, { token: AUTH_TOKEN, clientId: CLIENT_ID }).then(session => {
+      session.on('error', error => console.error('Agent server error:', error.message));
+      session.on('close', () => {
+        sessionPromise = null;
+      });
+      return session;
+    }, error => {
+      sessionPromise = null;
+      throw error;
+    });
+  }
+  return sessionPromise;
+}
+
+const backend = {
+  getDom: () => getSession().then(session => session.getDom()),
+  action: action => getSession().then(session => session.action(action)),
+  run: (task, options) => getSession().then(session => session.run(task, options))
+};
+
+async function main() {
+  const server = createMcpServer(backend, { runTask: MCP_RUN_TASK });
+  await server.connect(new StdioServerTransport());
+  console.error(`MCP server on stdio, driving ${SERVER_URL}`);
+}
+
+main().catch(error => {
+  console.error('MCP server failed:', error);
+  process.exit(1);
+});
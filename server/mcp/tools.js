@@ -0,0 +1,116 @@
+/**
+ * MCP Tools
+ * Exposes the connected browser to external assistants as MCP tools
+ */
+
+const { McpServer } = require('@modelcontextprotocol/sdk/server/mcp.js');
+const { z } = require('zod');
+
+/**
+ * Build an MCP server whose tools drive a browser through a backend with the
+ * Node SDK session's methods:
+ *   getDom()                   => { url, title, interactiveElements, elementCount }
+ *   action(action)             => action data; throws if the action failed
+ *   run(task, options, signal) => { success, result, data, findings, ... };
+ *                                 the server's own backend cancels the task
+ *                                 when signal aborts
+ * options: { runTask } adds the run_task tool backed by the agent loop.
+ */
+function createMcpServer(backend, options = {}) {
+  const server = new McpServer({
+    name: 'web-agent-browser',
+    version: '1.0.0'
+  });
+
+  server.registerTool('get_interactive_elements', {
+    title: 'Get interactive elements',
+    description: 'List the interactive elements of the current page, each with the XPath the other tools take'
+  }, () => call(async () => {
+    const state = await backend.getDom();
+    return `URL: ${state.url}\nTitle: ${state.title || ''}\nElements: ${state.elementCount ?? 'unknown'}\n\n${state.interactiveElements}`;
+  }));
+
+  server.registerTool('click_element', {
+    title: 'Click element',
+    description: 'Click the element at an XPath from get_interactive_elements',
+    inputSchema: { xpath: z.string().describe('XPath of the element') }
+  }, ({ xpath }) => call(() => runAction({ type: 'click_element', xpath })));
+
+  server.registerTool('input_text', {
+    title: 'Input text',
+    description: 'Type text into the input element at an XPath',
+    inputSchema: {
+      xpath: z.string().describe('XPath of the input element'),
+      text: z.string().describe('Text to type')
+    }
+  }, ({ xpath, text }) => call(() => runAction({ type: 'input_text', xpath, text })));
+
+  server.registerTool('scroll', {
+    title: 'Scroll',
+    description: 'Scroll the page up or down',
+    inputSchema: {
+      direction: z.enum(['up', 'down']).describe('Direction to scroll'),
+      amount: z.number().optional().describe('Pixels to scroll; half a screen if omitted')
+    }
+  }, ({ direction, amount }) => call(() => runAction({ type: 'scroll', direction, amount })));
+
+  server.registerTool('extract_content', {
+    title: 'Extract content',
+    description: 'Extract the text, links and tables of the page relevant to a goal',
+    inputSchema: { goal: z.string().describe('What to look for on the page') }
+  }, ({ goal }) => call(() => runAction({ type: 'extract_content', goal })));
+
+  server.registerTool('wait', {
+    title: 'Wait',
+    description: 'Wait for the page to update (0.1 to 30 seconds)',
+    inputSchema: { seconds: z.number().describe('Seconds to wait') }
+  }, ({ seconds }) => call(() => runAction({ type: 'wait', seconds })));
+
+  if (options.runTask) {
+    server.registerTool('run_task', {
+      title: 'Run task',
+      description: 'Let the browser agent carry out a whole task on its own and report the result',
+      inputSchema: {
+        task: z.string().describe('The task in plain language'),
+        maxSteps: z.number().int().positive().optional().describe('Most actions the agent may take')
+      }
+    }, ({ task, maxSteps }, extra) => call(async () => {
+      // The signal aborts when the client cancels the call or disconnects
+      const outcome = await backend.run(task, maxSteps ? { maxSteps } : {}, extra.signal);
+      if (!outcome.success) {
+        throw new Error(outcome.result || outcome.reason || 'Task failed');
+      }
+
+      const parts = [outcome.result];
+      if (outcome.data) {
+        parts.push(`Data:\n${JSON.stringify(outcome.data, null, 2)}`);
+      }
+      if (outcome.findings && outcome.findings.length > 0) {
+        parts.push(`Findings:\n${outcome.findings.map(finding => `## ${finding.name} (${finding.url})\n${finding.content}`).join('\n\n')}`);
+      }
+      return parts.join('\n\n');
+    }));
+  }
+
+  // Run an action and describe what it did
+  async function runAction(action) {
+    const data = await backend.action(action) || {};
+    return data.extracted || data.message || `${action.type} succeeded`;
+  }
+
+  return server;
+}
+
+/**
+ * Turn a tool's text, or the error it threw, into an MCP tool result
+ */
+async function call(fn) {
+  try {
+    const text = await fn();
+    return { content: [{ type: 'text', text }] };
+  } catch (error) {
+    return { content: [{ type: 'text', text: error.message }], isError: true };
+  }
+}
+
+module.exports = { createMcpServer };
@@ -0,0 +1,337 @@
+/**
+ * End-to-end agent test
+ * Starts the server with the mock LLM provider, connects a fake extension
+ * over the WebSocket and runs a task from the fixture to done
+ *
+ *   npm test
+ */
+
+const assert = require('assert');
+const { test } = require('node:test');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const WebSocket = require('ws');
+const protocol = require('../../extension/protocol');
+const { connect } = require('../client');
+
+const FIXTURE = path.join(__dirname, 'fixtures/search-task.json');
+const TASK_TIMEOUT_MS = 20000;
+
+const SEARCH_URL = 'https://search.test/';
+const RESULTS_URL = 'https://search.test/results?q=chrome';
+
+/**
+ * Fake extension: a two-page site where typing a query and clicking the
+ * button leads to the results page.
+ * options: { processingMs } keeps the page busy after each action, as the
+ * content script does while the page settles, then pushes an afterAction
+ * state. DOM requests in that window are answered once it is over, or
+ * dropped with { dropWhileProcessing } as older extensions did.
+ */
+class FakeExtension {
+  constructor(port, options = {}) {
+    this.ws = new WebSocket(`ws://localhost:${port}`);
+    this.url = SEARCH_URL;
+    this.query = '';
+    this.actions = [];
+    this.processingMs = options.processingMs || 0;
+    this.dropWhileProcessing = options.dropWhileProcessing || false;
+    this.processing = false;
+    this.pendingRequest = null;
+    this.task = null; // { resolve, reject } of the running task
+
+    this.ready = new Promise((resolve, reject) => {
+      this.ws.once('error', reject);
+      this.ws.on('message', (raw) => {
+        const message = JSON.parse(raw);
+        if (message.type === 'connected') {
+          this.send({ type: 'hello', protocolVersion: protocol.PROTOCOL_VERSION, client: 'test' });
+          resolve(message);
+        } else {
+          this.handleMessage(message);
+        }
+      });
+    });
+  }
+
+  /**
+   * Run a task; resolves with the taskComplete message
+   */
+  async runTask(task) {
+    await this.ready;
+    return new Promise((resolve, reject) => {
+      this.task = { resolve, reject };
+      this.send({ type: 'executeTask', task });
+    });
+  }
+
+  handleMessage(message) {
+    switch (message.type) {
+      case 'requestDOM':
+        if (!this.processing) {
+          this.sendState('requested', { stepId: message.stepId, replyTo: message.messageId });
+        } else if (!this.dropWhileProcessing) {
+          this.pendingRequest = { stepId: message.stepId, replyTo: message.messageId };
+        }
+        break;
+      case 'action':
+        this.send({
+          type: 'actionResult',
+          ...this.perform(message.action),
+          stepId: message.stepId,
+          replyTo: message.messageId
+        });
+        if (this.processingMs) {
+          this.settle(message.stepId);
+        }
+        break;
+      case 'taskComplete':
+        if (this.task) {
+          this.task.resolve(message);
+        }
+        break;
+      case 'error':
+        if (this.task) {
+          this.task.reject(new Error(`Server error: ${message.error}`));
+        }
+        break;
+    }
+  }
+
+  /**
+   * Stay busy for processingMs, then answer a request that came in meanwhile
+   * or push the page as it is after the action
+   */
+  settle(stepId) {
+    this.processing = true;
+    setTimeout(() => {
+      this.processing = false;
+      if (this.pendingRequest) {
+        const request = this.pendingRequest;
+        this.pendingRequest = null;
+        this.sendState('requested', request);
+      } else {
+        this.sendState('afterAction', { stepId, replyTo: null });
+      }
+    }, this.processingMs);
+  }
+
+  sendState(reason, ids) {
+    this.send({
+      type: 'domState',
+      url: this.url,
+      title: this.url === RESULTS_URL ? 'Results' : 'Search',
+      data: { interactiveElements: this.getElements(), elementCount: 2 },
+      reason,
+      requested: reason === 'requested',
+      ...ids
+    });
+  }
+
+  getElements() {
+    if (this.url === RESULTS_URL) {
+      return [
+        '[0][xpath="/html/body/ul/li[1]/a[1]"]<a>Chrome browser</a>',
+        '[1][xpath="/html/body/ul/li[2]/a[1]"]<a>Chrome extensions</a>'
+      ].join('\n');
+    }
+    return [
+      `[0][xpath="/html/body/form/input[1]"]<input type="search" name="q" value="${this.query}"></input>`,
+      '[1][xpath="/html/body/form/button[1]"]<button type="submit">Search</button>'
+    ].join('\n');
+  }
+
+  perform(action) {
+    this.actions.push(action);
+
+    switch (action.type) {
+      case 'input_text':
+        this.query = action.text;
+        return { success: true, data: { message: `Typed "${action.text}"` } };
+      case 'click_element':
+        if (this.query) {
+          this.url = RESULTS_URL;
+        }
+        return { success: true, data: { message: 'Clicked' } };
+      case 'done':
+        return { success: true, data: { isComplete: true, finalMessage: action.text, taskSuccess: action.success } };
+      default:
+        return { success: false, error: `Unexpected action ${action.type}` };
+    }
+  }
+
+  send(message) {
+    this.ws.send(JSON.stringify(message));
+  }
+
+  close() {
+    this.ws.close();
+  }
+}
+
+/**
+ * Find a free local port for the server
+ */
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.on('error', reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Start the server with the mock provider; resolves once it listens
+ */
+function startServer(port, recordPath, env = {}) {
+  const child = spawn(process.execPath, ['index.js'], {
+    cwd: path.join(__dirname, '..'),
+    env: {
+      ...process.env,
+      PORT: String(port),
+      LLM_PROVIDER: 'mock',
+      LLM_FIXTURE: FIXTURE,
+      LLM_RECORD_FILE: recordPath,
+      AUTH_TOKENS: '',
+      APPROVAL_POLICY: '',
+      APPROVAL_POLICY_FILE: '',
+      TRACES: 'false',
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  let output = '';
+  return new Promise((resolve, reject) => {
+    child.stdout.on('data', (chunk) => {
+      output += chunk;
+      if (output.includes('WebSocket server started')) {
+        resolve(child);
+      }
+    });
+    child.stderr.on('data', (chunk) => {
+      output += chunk;
+    });
+    child.on('exit', (code) => {
+      reject(new Error(`Server exited with code ${code}:\n${output}`));
+    });
+  });
+}
+
+/**
+ * Reject when a promise takes longer than ms
+ */
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+test('mock task runs to done over the WebSocket', async () => {
+  const port = await getFreePort();
+  const recordPath = path.join(os.tmpdir(), `agent-test-${process.pid}.jsonl`);
+  const server = await startServer(port, recordPath);
+  const extension = new FakeExtension(port);
+
+  try {
+    const complete = await withTimeout(extension.runTask('Search for chrome and report the results'), TASK_TIMEOUT_MS);
+
+    assert.strictEqual(complete.success, true);
+    assert.strictEqual(complete.result, 'Found 2 results for chrome');
+    assert.deepStrictEqual(extension.actions.map(action => action.type), ['input_text', 'click_element', 'done']);
+    assert.strictEqual(extension.actions[0].text, 'chrome');
+    assert.strictEqual(extension.url, RESULTS_URL);
+    assert.strictEqual(complete.usage.promptTokens, 420);
+    assert.strictEqual(complete.usage.completionTokens, 60);
+
+    // Each step prompted the model once, with the page it was on
+    const prompts = fs.readFileSync(recordPath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    assert.strictEqual(prompts.length, 3);
+    const lastPrompt = prompts[2].messages.map(message => message.content).join('\n');
+    assert.ok(lastPrompt.includes(RESULTS_URL), 'the last prompt shows the results page');
+    assert.ok(prompts[0].tools.includes('done'), 'the model is offered the action tools');
+  } finally {
+    extension.close();
+    server.removeAllListeners('exit');
+    server.kill('SIGINT');
+    fs.rmSync(recordPath, { force: true });
+  }
+});
+
+for (const [name, options] of [
+  ['answers DOM requests once an action has settled', { processingMs: 300 }],
+  ['uses the afterAction state when the extension drops DOM requests', { processingMs: 300, dropWhileProcessing: true }]
+]) {
+  test(`a task ${name}`, async () => {
+    const port = await getFreePort();
+    const recordPath = path.join(os.tmpdir(), `agent-test-${process.pid}-settle.jsonl`);
+    const server = await startServer(port, recordPath);
+    const extension = new FakeExtension(port, options);
+
+    try {
+      const startedAt = Date.now();
+      const complete = await withTimeout(extension.runTask('Search for chrome and report the results'), TASK_TIMEOUT_MS);
+
+      assert.strictEqual(complete.success, true);
+      assert.deepStrictEqual(extension.actions.map(action => action.type), ['input_text', 'click_element', 'done']);
+      // No step waited for the DOM timeout and a second request
+      assert.ok(Date.now() - startedAt < 5000, `took ${Date.now() - startedAt}ms`);
+    } finally {
+      extension.close();
+      server.removeAllListeners('exit');
+      server.kill('SIGINT');
+      fs.rmSync(recordPath, { force: true });
+    }
+  });
+}
+
+test('direct commands the approval policy holds wait for a decision', async () => {
+  const port = await getFreePort();
+  const recordPath = path.join(os.tmpdir(), `agent-test-${process.pid}-approval.jsonl`);
+  const server = await startServer(port, recordPath, {
+    APPROVAL_POLICY: JSON.stringify({ rules: [{ name: 'searching', actions: ['click_element'], keywords: ['Search'] }] })
+  });
+  const extension = new FakeExtension(port);
+  await extension.ready;
+  const session = await connect(`ws://localhost:${port}`);
+
+  // Decide on each held action as the SDK user would
+  const decisions = ['reject', 'approve'];
+  const requested = [];
+  session.on('approvalRequested', (event) => {
+    requested.push(event);
+    session.decideApproval(event.taskId, event.approvalId, decisions.shift(), { comment: 'checked' });
+  });
+
+  try {
+    await withTimeout(session.input('/html/body/form/input[1]', 'chrome'), TASK_TIMEOUT_MS);
+    await assert.rejects(session.click('/html/body/form/button[1]'), /Rejected by the user: checked/);
+    assert.deepStrictEqual(extension.actions.map(action => action.type), ['input_text']);
+
+    await withTimeout(session.click('/html/body/form/button[1]'), TASK_TIMEOUT_MS);
+    assert.deepStrictEqual(extension.actions.map(action => action.type), ['input_text', 'click_element']);
+    assert.strictEqual(extension.url, RESULTS_URL);
+
+    assert.strictEqual(requested.length, 2);
+    assert.strictEqual(requested[0].rule, 'searching');
+    assert.strictEqual(requested[0].element.text, 'Search');
+
+    const record = await session.getTask(requested[1].taskId);
+    assert.strictEqual(record.source, 'command');
+    assert.strictEqual(record.status, 'completed');
+  } finally {
+    await session.close();
+    extension.close();
+    server.removeAllListeners('exit');
+    server.kill('SIGINT');
+    fs.rmSync(recordPath, { force: true });
+  }
+});
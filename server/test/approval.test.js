@@ -0,0 +1,84 @@
+/**
+ * Approval policy tests
+ */
+
+const assert = require('assert');
+const { test } = require('node:test');
+const { ApprovalPolicy, loadApprovalPolicy } = require('../agent/approval');
+
+const BUY = { xpath: '/html/body/button[1]', tag: 'button', text: 'Buy now', attributes: { type: 'submit' } };
+const HOME = { xpath: '/html/body/a[1]', tag: 'a', text: 'Home', attributes: {} };
+const UNKNOWN = { xpath: '/html/body/div[9]', tag: null, text: '', attributes: {} };
+
+const click = xpath => ({ type: 'click_element', xpath });
+
+test('malformed policies are rejected with the rule at fault', () => {
+  assert.throws(() => new ApprovalPolicy({}), { message: 'Approval policy must have a "rules" array' });
+  assert.throws(() => new ApprovalPolicy({ rules: ['buy'] }), { message: 'Approval rule 1 must be an object' });
+  assert.throws(() => new ApprovalPolicy({ rules: [{}, { actions: 'click_element' }] }), { message: 'Approval rule 2: "actions" must be an array of action types' });
+  assert.throws(() => new ApprovalPolicy({ rules: [{ keywords: [''] }] }), { message: 'Approval rule 1: "keywords" must be an array of words' });
+  assert.throws(() => new ApprovalPolicy({ rules: [{ url: '(' }] }), /Approval rule 1: "url" is not a valid regular expression/);
+});
+
+test('keywords match whole words in the element text or labels', () => {
+  const policy = new ApprovalPolicy({ rules: [{ name: 'purchases', keywords: ['buy'] }] });
+
+  assert.deepStrictEqual(policy.match(click(BUY.xpath), { url: 'https://shop.test/', element: BUY }), {
+    rule: 'purchases',
+    reason: 'purchases: click_element on <button type="submit">Buy now</button> (keyword "buy") at https://shop.test/'
+  });
+  assert.strictEqual(policy.match(click(HOME.xpath), { element: HOME }), null);
+  assert.strictEqual(policy.match(click(HOME.xpath), { element: { ...HOME, text: 'Buyers guide' } }), null);
+  assert.ok(policy.match(click(HOME.xpath), { element: { ...HOME, attributes: { 'aria-label': 'Buy' } } }));
+});
+
+test('every condition of a rule must hold', () => {
+  const policy = new ApprovalPolicy({ rules: [{ url: '^https://shop\\.test/checkout', text: '^buy' }] });
+
+  assert.ok(policy.match(click(BUY.xpath), { url: 'https://shop.test/checkout', element: BUY }));
+  assert.strictEqual(policy.match(click(BUY.xpath), { url: 'https://shop.test/', element: BUY }), null);
+  assert.strictEqual(policy.match(click(BUY.xpath), { element: BUY }), null);
+  assert.strictEqual(policy.match(click(HOME.xpath), { url: 'https://shop.test/checkout', element: HOME }), null);
+});
+
+test('rules apply to clicks and inputs unless they list actions', () => {
+  const byDefault = new ApprovalPolicy({ rules: [{ url: 'shop' }] });
+  assert.ok(byDefault.appliesTo('click_element'));
+  assert.ok(byDefault.appliesTo('input_text'));
+  assert.ok(!byDefault.appliesTo('navigate'));
+  assert.strictEqual(byDefault.match({ type: 'navigate', url: 'https://shop.test/' }, { url: 'https://shop.test/' }), null);
+
+  const navigation = new ApprovalPolicy({ rules: [{ actions: ['navigate'], url: 'shop' }] });
+  assert.ok(!navigation.appliesTo('click_element'));
+  assert.deepStrictEqual(navigation.match({ type: 'navigate', url: 'https://shop.test/' }, { url: 'https://shop.test/' }), {
+    rule: 'rule 1',
+    reason: 'rule 1: navigate at https://shop.test/'
+  });
+});
+
+test('element rules hold actions on elements that cannot be identified', () => {
+  const policy = new ApprovalPolicy({ rules: [{ name: 'purchases', keywords: ['buy'] }] });
+
+  assert.deepStrictEqual(policy.match(click(UNKNOWN.xpath), { url: 'https://shop.test/', element: UNKNOWN }), {
+    rule: 'purchases',
+    reason: 'purchases: click_element on the element at /html/body/div[9], which could not be identified at https://shop.test/'
+  });
+  assert.deepStrictEqual(policy.match(click(UNKNOWN.xpath), {}), {
+    rule: 'purchases',
+    reason: 'purchases: click_element on the element at /html/body/div[9], which could not be identified'
+  });
+});
+
+test('element rules check the text of actions without a target', () => {
+  const policy = new ApprovalPolicy({ rules: [{ actions: ['done'], keywords: ['password'] }] });
+
+  assert.ok(policy.match({ type: 'done', text: 'The password is hunter2' }, {}));
+  assert.strictEqual(policy.match({ type: 'done', text: 'Found the price' }, {}), null);
+  assert.strictEqual(policy.match({ type: 'done' }, {}), null);
+});
+
+test('loadApprovalPolicy reads inline JSON and is off when unset', () => {
+  assert.strictEqual(loadApprovalPolicy({}), null);
+  assert.ok(loadApprovalPolicy({ APPROVAL_POLICY: '{"rules": []}' }) instanceof ApprovalPolicy);
+  assert.throws(() => loadApprovalPolicy({ APPROVAL_POLICY: '{"rules": {}}' }), { message: 'Approval policy must have a "rules" array' });
+});
@@ -0,0 +1,40 @@
+/**
+ * Auth token tests
+ */
+
+const assert = require('assert');
+const { test } = require('node:test');
+const { parseAuthTokens, authenticate } = require('../utils/auth');
+
+function request({ url = '/', authorization, address = '203.0.113.7' } = {}) {
+  return { url, headers: authorization ? { authorization } : {}, socket: { remoteAddress: address } };
+}
+
+test('parseAuthTokens names anonymous tokens and keeps per-user ones', () => {
+  assert.deepStrictEqual([...parseAuthTokens(' abc , alice:s3cret,,bob:x:y ')], [
+    ['abc', 'token-1'],
+    ['s3cret', 'alice'],
+    ['x:y', 'bob']
+  ]);
+  assert.strictEqual(parseAuthTokens(undefined).size, 0);
+});
+
+test('authenticate accepts a known token from the query or a Bearer header', () => {
+  const tokens = parseAuthTokens('alice:s3cret');
+
+  assert.strictEqual(authenticate(request({ url: '/?token=s3cret' }), tokens), 'alice');
+  assert.strictEqual(authenticate(request({ authorization: 'Bearer s3cret' }), tokens), 'alice');
+  assert.strictEqual(authenticate(request({ authorization: 'Bearer s3cre' }), tokens), null);
+  assert.strictEqual(authenticate(request({ address: '127.0.0.1' }), tokens), null);
+});
+
+test('without tokens only local connections are accepted', () => {
+  const none = parseAuthTokens('');
+
+  for (const address of ['127.0.0.1', '127.0.1.1', '::1', '::ffff:127.0.0.1']) {
+    assert.strictEqual(authenticate(request({ address }), none), 'anonymous', address);
+  }
+  for (const address of ['203.0.113.7', '::ffff:192.168.1.4', 'fe80::1', '']) {
+    assert.strictEqual(authenticate(request({ address }), none), null, address);
+  }
+});
@@ -0,0 +1,98 @@
+/**
+ * Node SDK tests against a fake socket and a bare WebSocket server
+ */
+
+const assert = require('assert');
+const EventEmitter = require('events');
+const { test } = require('node:test');
+const WebSocket = require('ws');
+const { connect, AgentSession } = require('../client');
+const protocol = require('../../extension/protocol');
+
+/**
+ * Stands in for the ws connection: records what the session sends and
+ * delivers server messages on demand
+ */
+class FakeSocket extends EventEmitter {
+  constructor() {
+    super();
+    this.readyState = WebSocket.OPEN;
+    this.sent = [];
+  }
+
+  send(data) {
+    this.sent.push(JSON.parse(data));
+  }
+
+  receive(message) {
+    this.emit('message', JSON.stringify(message));
+  }
+}
+
+function finished(taskId) {
+  return { type: 'taskEvent', taskId, event: 'finished', status: 'completed', result: { success: true, message: 'Done' } };
+}
+
+test('run() takes task events that arrive before its response', async () => {
+  const ws = new FakeSocket();
+  const session = new AgentSession(ws);
+  const seen = [];
+
+  const run = session.run('Find shoes', { onEvent: event => seen.push(event.event) });
+  await new Promise(resolve => setImmediate(resolve));
+  const request = ws.sent[0];
+  assert.strictEqual(request.type, 'runTask');
+
+  ws.receive({ type: 'taskEvent', taskId: 'task-1', event: 'stepStarted', step: 1 });
+  ws.receive({ type: 'taskEvent', taskId: 'task-2', event: 'stepStarted', step: 1 });
+  ws.receive(finished('task-1'));
+  ws.receive({ type: 'response', requestId: request.requestId, ok: true, result: { id: 'task-1' } });
+
+  const outcome = await run;
+  assert.strictEqual(outcome.taskId, 'task-1');
+  assert.strictEqual(outcome.result, 'Done');
+  assert.deepStrictEqual(seen, ['stepStarted', 'finished']);
+  assert.strictEqual(session.earlyEvents.size, 0);
+});
+
+test('errors not tied to a request are emitted only to listeners', () => {
+  const ws = new FakeSocket();
+  const session = new AgentSession(ws);
+  const warn = console.warn;
+  const warnings = [];
+  console.warn = message => warnings.push(message);
+
+  try {
+    ws.receive({ type: 'error', error: 'Unknown client' });
+    assert.deepStrictEqual(warnings, []);
+
+    const errors = [];
+    session.on('error', error => errors.push(error.message));
+    ws.receive({ type: 'error', error: 'Unknown client' });
+    assert.deepStrictEqual(errors, ['Unknown client']);
+  } finally {
+    console.warn = warn;
+  }
+});
+
+test('connect() sends the token in a header, not the URL', async (t) => {
+  const server = new WebSocket.Server({ port: 0 });
+  t.after(() => new Promise(resolve => server.close(resolve)));
+  await new Promise(resolve => server.once('listening', resolve));
+
+  const upgrades = [];
+  server.on('connection', (socket, req) => {
+    upgrades.push({ url: req.url, authorization: req.headers.authorization });
+    socket.send(JSON.stringify({
+      type: 'connected',
+      clientId: 1,
+      protocolVersion: protocol.PROTOCOL_VERSION,
+      minProtocolVersion: protocol.MIN_PROTOCOL_VERSION
+    }));
+  });
+
+  const session = await connect(`ws://127.0.0.1:${server.address().port}`, { token: 's3cret' });
+  await session.close();
+
+  assert.deepStrictEqual(upgrades, [{ url: '/control', authorization: 'Bearer s3cret' }]);
+});
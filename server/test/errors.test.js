@@ -0,0 +1,59 @@
+/**
+ * LLM error classification tests
+ */
+
+const assert = require('assert');
+const { test } = require('node:test');
+const { LLMError, ERROR_KINDS, classifyError } = require('../llm/errors');
+
+function httpError(status, body = {}, headers = {}) {
+  return Object.assign(new Error(`Request failed with status ${status}`), {
+    response: { status, data: body, headers }
+  });
+}
+
+test('classifyError sorts HTTP failures by what can be done about them', () => {
+  const cases = [
+    [httpError(401), ERROR_KINDS.AUTH],
+    [httpError(403), ERROR_KINDS.AUTH],
+    [httpError(402), ERROR_KINDS.QUOTA],
+    [httpError(429, { error: { message: 'You exceeded your current quota' } }), ERROR_KINDS.QUOTA],
+    [httpError(429, { error: { message: 'Rate limit reached' } }), ERROR_KINDS.RETRYABLE],
+    [httpError(408), ERROR_KINDS.RETRYABLE],
+    [httpError(503), ERROR_KINDS.RETRYABLE],
+    [httpError(400, { error: { message: 'bad tool schema' } }), ERROR_KINDS.BAD_REQUEST]
+  ];
+
+  for (const [error, kind] of cases) {
+    const classified = classifyError(error, 'Test');
+    assert.ok(classified instanceof LLMError);
+    assert.strictEqual(classified.kind, kind, `${error.response.status} ${JSON.stringify(error.response.data)}`);
+    assert.strictEqual(classified.isRetryable(), kind === ERROR_KINDS.RETRYABLE);
+  }
+});
+
+test('classifyError recognises cancellations and network failures', () => {
+  const abort = Object.assign(new Error('aborted'), { name: 'AbortError' });
+  assert.strictEqual(classifyError(abort, 'Test').kind, ERROR_KINDS.CANCELLED);
+
+  const reset = Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+  assert.strictEqual(classifyError(reset, 'Test').kind, ERROR_KINDS.RETRYABLE);
+
+  assert.strictEqual(classifyError(new Error('Unexpected token in JSON'), 'Test').kind, ERROR_KINDS.BAD_REQUEST);
+});
+
+test('classifyError reads Retry-After in seconds, milliseconds or as a date', () => {
+  assert.strictEqual(classifyError(httpError(429, {}, { 'retry-after': '7' }), 'Test').retryAfterMs, 7000);
+  assert.strictEqual(classifyError(httpError(429, {}, { 'retry-after-ms': '250' }), 'Test').retryAfterMs, 250);
+
+  const date = new Date(Date.now() + 60000).toUTCString();
+  const fromDate = classifyError(httpError(429, {}, { 'retry-after': date }), 'Test').retryAfterMs;
+  assert.ok(fromDate > 50000 && fromDate <= 60000);
+
+  assert.strictEqual(classifyError(httpError(429), 'Test').retryAfterMs, null);
+});
+
+test('classifyError passes LLMErrors through unchanged', () => {
+  const error = new LLMError('already classified', { kind: ERROR_KINDS.AUTH });
+  assert.strictEqual(classifyError(error, 'Test'), error);
+});
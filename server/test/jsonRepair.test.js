@@ -0,0 +1,54 @@
+/**
+ * Lenient JSON parsing tests
+ */
+
+const assert = require('assert');
+const { test } = require('node:test');
+const { parseLenientJSON } = require('../utils/jsonRepair');
+
+// [name, input, expected value, expected repairs]
+const REPAIRABLE = [
+  ['strict JSON', '{"a": 1}', { a: 1 }, []],
+  ['prose around the object', 'Sure! {"a": 1} Hope that helps.', { a: 1 }, ['extracted object from surrounding text']],
+  ['line and block comments', '{\n  "a": 1, // first\n  /* second */ "b": 2\n}', { a: 1, b: 2 }, ['removed comments']],
+  ['single-quoted strings', "{'a': 'x'}", { a: 'x' }, ['replaced single quotes']],
+  ['escaped quote in a single-quoted string', "{'a': 'it\\'s \"here\"'}", { a: 'it\'s "here"' }, ['replaced single quotes']],
+  ['bare keys', '{a: 1, b_2: {c: true}}', { a: 1, b_2: { c: true } }, ['quoted bare keys']],
+  ['trailing commas', '{"a": [1, 2,], "b": 3,}', { a: [1, 2], b: 3 }, ['removed trailing commas']],
+  ['apostrophe inside a double-quoted string', '{text: "it\'s done", "ok": true,}', { text: "it's done", ok: true }, ['quoted bare keys', 'removed trailing commas']],
+  ['// inside a URL value', '{"url": "https://shop.test/a", b: 1}', { url: 'https://shop.test/a', b: 1 }, ['quoted bare keys']],
+  ['key-like text and commas inside a string', '{"note": "{a: 1,}", b: 2,}', { note: '{a: 1,}', b: 2 }, ['quoted bare keys', 'removed trailing commas']],
+  [
+    'every repair at once',
+    "Here you go: {current_state: {'evaluation': 'ok', next_goal: 'click',}, // chosen\n 'action': {'type': 'click_element', 'xpath': '/html/body/a[1]',},} done",
+    { current_state: { evaluation: 'ok', next_goal: 'click' }, action: { type: 'click_element', xpath: '/html/body/a[1]' } },
+    ['extracted object from surrounding text', 'removed comments', 'replaced single quotes', 'quoted bare keys', 'removed trailing commas']
+  ]
+];
+
+const UNREPAIRABLE = [
+  ['plain prose', 'I will click the button'],
+  ['an unbalanced object', '{"a": 1'],
+  ['a missing value', '{"a": }'],
+  ['a missing comma', '{"a": 1 "b": 2}'],
+  ['an empty string', '']
+];
+
+for (const [name, input, value, repairs] of REPAIRABLE) {
+  test(`parseLenientJSON repairs ${name}`, () => {
+    assert.deepStrictEqual(parseLenientJSON(input), { value, repairs });
+  });
+}
+
+for (const [name, input] of UNREPAIRABLE) {
+  test(`parseLenientJSON rejects ${name} with the original error`, () => {
+    let strictError;
+    try {
+      JSON.parse(input);
+    } catch (error) {
+      strictError = error;
+    }
+
+    assert.throws(() => parseLenientJSON(input), error => error instanceof SyntaxError && error.message === strictError.message);
+  });
+}
@@ -0,0 +1,79 @@
+/**
+ * Element locator tests
+ */
+
+const assert = require('assert');
+const { test } = require('node:test');
+const { parseElements, describeElement, findElement, formatLocator } = require('../agent/locator');
+
+const PAGE = [
+  '[0][xpath="/html/body/form/input[1]"]<input type="search" name="q" class="big" value="shoes"></input>',
+  '[1][xpath="/html/body/form/button[1]"]<button type="submit" data-agent-idx="1">Buy now</button>',
+  '[2][xpath="/html/body/a[1]"]<a>Home</a>',
+  '[3][xpath="/html/body/a[2]"]<a>Home</a>'
+].join('\n');
+
+function domState(interactiveElements) {
+  return { url: 'https://shop.test/', data: { interactiveElements } };
+}
+
+test('parseElements keeps the identifying attributes of each line', () => {
+  const elements = parseElements(`${PAGE}\nnot an element line`);
+
+  assert.strictEqual(elements.length, 4);
+  assert.deepStrictEqual(elements[0], {
+    index: 0,
+    xpath: '/html/body/form/input[1]',
+    tag: 'input',
+    text: '',
+    attributes: { type: 'search', name: 'q' }
+  });
+  assert.deepStrictEqual(elements[1].attributes, { type: 'submit' });
+  assert.strictEqual(elements[1].text, 'Buy now');
+});
+
+test('describeElement locates the element an action targets', () => {
+  const locator = describeElement(domState(PAGE), { type: 'click_element', xpath: '/html/body/form/button[1]' });
+  assert.deepStrictEqual(locator, {
+    xpath: '/html/body/form/button[1]',
+    tag: 'button',
+    text: 'Buy now',
+    attributes: { type: 'submit' }
+  });
+
+  assert.strictEqual(describeElement(domState(PAGE), { type: 'scroll', direction: 'down' }), null);
+  assert.deepStrictEqual(describeElement(domState(PAGE), { type: 'click_element', xpath: '/html/body/div[9]' }), {
+    xpath: '/html/body/div[9]',
+    tag: null,
+    text: '',
+    attributes: {}
+  });
+});
+
+test('findElement prefers the recorded xpath and relocates a moved element', () => {
+  const locator = { xpath: '/html/body/form/button[1]', tag: 'button', text: 'Buy now', attributes: { type: 'submit' } };
+  assert.deepStrictEqual(findElement(domState(PAGE), locator), { xpath: '/html/body/form/button[1]', relocated: false });
+
+  const shifted = PAGE.replace('/html/body/form/button[1]', '/html/body/div[1]/button[1]');
+  assert.deepStrictEqual(findElement(domState(shifted), locator), { xpath: '/html/body/div[1]/button[1]', relocated: true });
+
+  const missing = PAGE.replace('Buy now', 'Checkout');
+  assert.strictEqual(findElement(domState(missing), locator), null);
+});
+
+test('findElement refuses ambiguous or undescribed elements elsewhere', () => {
+  const home = { xpath: '/html/body/nav/a[1]', tag: 'a', text: 'Home', attributes: {} };
+  assert.strictEqual(findElement(domState(PAGE), home), null);
+
+  const unknown = { xpath: '/html/body/a[1]', tag: null, text: '', attributes: {} };
+  assert.deepStrictEqual(findElement(domState(PAGE), unknown), { xpath: '/html/body/a[1]', relocated: false });
+  assert.strictEqual(findElement(domState(PAGE), { ...unknown, xpath: '/html/body/a[9]' }), null);
+});
+
+test('formatLocator describes an element in one line', () => {
+  assert.strictEqual(
+    formatLocator({ xpath: '/x', tag: 'button', text: 'Buy now', attributes: { name: 'buy' } }),
+    '<button name="buy">Buy now</button>'
+  );
+  assert.strictEqual(formatLocator({ xpath: '/x', tag: null, text: '', attributes: {} }), 'the element at /x');
+});
@@ -0,0 +1,84 @@
+/**
+ * MCP backend tests: tasks run for an MCP call end with the call
+ */
+
+const assert = require('assert');
+const { test } = require('node:test');
+const { TaskRegistry, TASK_STATUS } = require('../agent/tasks');
+const { createLocalBackend } = require('../mcp/backend');
+
+/**
+ * A backend over one fake extension; cancelTask finishes the task as the
+ * server's does and records why
+ */
+function createBackend() {
+  const registry = new TaskRegistry();
+  const client = { ws: {}, session: { id: 1 } };
+  const records = [];
+  const cancelled = [];
+  const running = () => records.find(record => !registry.isFinished(record));
+
+  const backend = createLocalBackend({
+    registry,
+    findClient: () => client,
+    startTask: (ws, session, task, options, source) => {
+      const record = registry.create({ task, clientId: session.id, source, options });
+      records.push(record);
+      return record;
+    },
+    cancelTask: (ws, session, reason) => {
+      cancelled.push(reason);
+      registry.finish(running().id, TASK_STATUS.CANCELLED, { success: false, message: reason });
+    },
+    runCommand: async () => ({ success: true })
+  });
+  return { backend, registry, records, running, cancelled };
+}
+
+test('run resolves with the outcome of the task', async () => {
+  const { backend, registry, records } = createBackend();
+  const outcome = backend.run('Find shoes', {}, new AbortController().signal);
+
+  const [record] = records;
+  registry.finish(record.id, TASK_STATUS.COMPLETED, { success: true, message: 'Found them' });
+
+  assert.deepStrictEqual(await outcome, {
+    taskId: record.id,
+    status: TASK_STATUS.COMPLETED,
+    success: true,
+    result: 'Found them',
+    reason: undefined,
+    data: undefined,
+    findings: [],
+    usage: undefined
+  });
+});
+
+test('run cancels the task when the call is aborted', async () => {
+  const { backend, registry, records, running, cancelled } = createBackend();
+  const controller = new AbortController();
+  const outcome = backend.run('Find shoes', {}, controller.signal);
+
+  controller.abort();
+  const result = await outcome;
+  assert.deepStrictEqual(cancelled, ['MCP client disconnected']);
+  assert.strictEqual(result.status, TASK_STATUS.CANCELLED);
+  assert.strictEqual(records[0].status, TASK_STATUS.CANCELLED);
+
+  // Aborting after the task ended cancels nothing
+  const finished = new AbortController();
+  const second = backend.run('Find socks', {}, finished.signal);
+  registry.finish(running().id, TASK_STATUS.COMPLETED, { success: true, message: 'Done' });
+  await second;
+  finished.abort();
+  assert.strictEqual(cancelled.length, 1);
+});
+
+test('run refuses to start for an already aborted call', () => {
+  const { backend, records } = createBackend();
+  const controller = new AbortController();
+  controller.abort();
+
+  assert.throws(() => backend.run('Find shoes', {}, controller.signal), { message: 'Task request was cancelled' });
+  assert.strictEqual(records.length, 0);
+});
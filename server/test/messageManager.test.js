@@ -0,0 +1,101 @@
+/**
+ * Message manager tests: page states, findings and context compaction
+ */
+
+const assert = require('assert');
+const { test } = require('node:test');
+const { MessageManager } = require('../agent/message-manager/service');
+
+// One token per character keeps budgets easy to reason about
+const charTokenizer = { count: text => (text ? text.length : 0) };
+
+function createManager(maxTokens) {
+  return new MessageManager('Find the price of shoes', { maxTokens, tokenizer: charTokenizer });
+}
+
+function pageState(url, elements) {
+  return { url, title: url, data: { interactiveElements: elements } };
+}
+
+function kinds(manager) {
+  return manager.history.getEntries().map(entry => entry.metadata.kind);
+}
+
+test('only the latest page state is kept in full', () => {
+  const manager = createManager(100000);
+  manager.addStateMessage(pageState('https://shop.test/a', '[0][xpath="/a"]<a>A</a>'));
+  manager.addStateMessage(pageState('https://shop.test/b', '[0][xpath="/b"]<a>B</a>'));
+
+  const states = manager.history.getEntries().filter(entry => entry.metadata.kind === 'state');
+  assert.strictEqual(states.length, 2);
+  assert.strictEqual(states[0].message.content, '[Earlier page state] https://shop.test/a - https://shop.test/a');
+  assert.ok(states[1].message.content.includes('[0][xpath="/b"]<a>B</a>'));
+});
+
+test('findings are kept by name, the newest one winning', () => {
+  const manager = createManager(100000);
+  manager.addActionResultMessage({ success: true, action: { type: 'extract_content', name: 'price' }, data: { extracted: '10 EUR' } });
+  manager.addActionResultMessage({ success: true, action: { type: 'extract_content', name: 'price' }, data: { extracted: '12 EUR' } });
+
+  assert.deepStrictEqual(manager.getFindings().map(finding => finding.content), ['12 EUR']);
+});
+
+test('compaction folds old messages into one summary under the budget', async () => {
+  const manager = createManager(6000);
+  for (let step = 1; step <= 20; step++) {
+    manager.addStateMessage(pageState(`https://shop.test/${step}`, `[0][xpath="/html/body/a[${step}]"]<a>${'x'.repeat(200)}</a>`));
+    manager.addActionResultMessage({ success: true, action: { type: 'click_element', xpath: `/html/body/a[${step}]` }, data: { message: `Clicked link ${step} ${'z'.repeat(130)}` } });
+  }
+
+  assert.ok(manager.history.getTotalTokens() > 6000, 'history starts over the budget');
+
+  const compacted = await manager.compactIfNeeded();
+  assert.strictEqual(compacted, true);
+  assert.ok(manager.history.getTotalTokens() <= 6000, 'history ends under the budget');
+
+  const entries = manager.history.getEntries();
+  const summary = entries.find(entry => entry.metadata.kind === 'summary');
+  assert.ok(summary, 'a summary replaces the old messages');
+  assert.ok(summary.message.content.includes('Visited https://shop.test/1'));
+  assert.ok(summary.message.content.includes('Action completed: Clicked link 1'));
+
+  // The system prompt, the task and the latest page survive
+  assert.strictEqual(kinds(manager)[0], 'system');
+  assert.ok(kinds(manager).includes('task'));
+  assert.ok(entries.some(entry => entry.metadata.kind === 'state' && entry.message.content.includes('/html/body/a[20]')));
+});
+
+test('compaction uses the summarizer and falls back when it fails', async () => {
+  const manager = createManager(1500);
+  for (let step = 1; step <= 4; step++) {
+    manager.addStateMessage(pageState(`https://shop.test/${step}`, 'y'.repeat(400)));
+    manager.addActionResultMessage({ success: false, action: { type: 'click_element', xpath: '/a' }, error: `Missing ${step}` });
+  }
+
+  const transcripts = [];
+  await manager.compactIfNeeded(async (transcript) => {
+    transcripts.push(transcript);
+    return 'Tried four pages, every click failed';
+  });
+  assert.strictEqual(transcripts.length, 1);
+  assert.ok(transcripts[0].includes('Action failed: Missing 1'));
+  assert.ok(manager.getMessages().some(message => message.content === 'Summary of earlier steps:\nTried four pages, every click failed'));
+
+  const fallback = createManager(1500);
+  for (let step = 1; step <= 4; step++) {
+    fallback.addStateMessage(pageState(`https://shop.test/${step}`, 'y'.repeat(400)));
+  }
+  await fallback.compactIfNeeded(async () => {
+    throw new Error('model unavailable');
+  });
+  const summary = fallback.history.findLast('summary');
+  assert.ok(summary.message.content.includes('Visited https://shop.test/1'));
+});
+
+test('compaction does nothing within the budget', async () => {
+  const manager = createManager(100000);
+  manager.addStateMessage(pageState('https://shop.test/', '[0][xpath="/a"]<a>A</a>'));
+
+  assert.strictEqual(await manager.compactIfNeeded(), false);
+  assert.ok(!kinds(manager).includes('summary'));
+});
@@ -0,0 +1,68 @@
+/**
+ * LLM retry tests
+ */
+
+const assert = require('assert');
+const { test } = require('node:test');
+const { withRetry } = require('../llm/retry');
+const { LLMError, ERROR_KINDS } = require('../llm/errors');
+
+const FAST = { provider: 'Test', maxRetries: 3, baseDelayMs: 1, maxDelayMs: 200 };
+
+/**
+ * A request that fails with the given errors in turn, then succeeds
+ */
+function flakyRequest(errors) {
+  const calls = [];
+  const request = async () => {
+    calls.push(Date.now());
+    if (calls.length <= errors.length) {
+      throw errors[calls.length - 1];
+    }
+    return 'ok';
+  };
+  return { request, calls };
+}
+
+function retryable(options = {}) {
+  return new LLMError('overloaded', { kind: ERROR_KINDS.RETRYABLE, provider: 'Test', ...options });
+}
+
+test('withRetry retries retryable failures until the request succeeds', async () => {
+  const { request, calls } = flakyRequest([retryable(), retryable()]);
+  assert.strictEqual(await withRetry(request, FAST), 'ok');
+  assert.strictEqual(calls.length, 3);
+});
+
+test('withRetry gives up after maxRetries', async () => {
+  const { request, calls } = flakyRequest([retryable(), retryable(), retryable()]);
+  await assert.rejects(withRetry(request, { ...FAST, maxRetries: 2 }), { message: 'overloaded' });
+  assert.strictEqual(calls.length, 3);
+});
+
+test('withRetry does not retry errors that cannot succeed', async () => {
+  const auth = new LLMError('bad key', { kind: ERROR_KINDS.AUTH, provider: 'Test' });
+  const { request, calls } = flakyRequest([auth]);
+  await assert.rejects(withRetry(request, FAST), error => error === auth);
+  assert.strictEqual(calls.length, 1);
+});
+
+test('withRetry waits the full Retry-After', async () => {
+  const { request, calls } = flakyRequest([retryable({ retryAfterMs: 150 })]);
+  assert.strictEqual(await withRetry(request, FAST), 'ok');
+  assert.ok(calls[1] - calls[0] >= 145, `waited ${calls[1] - calls[0]}ms`);
+});
+
+test('withRetry gives up when Retry-After exceeds maxDelayMs', async () => {
+  const { request, calls } = flakyRequest([retryable({ retryAfterMs: 5000 })]);
+  await assert.rejects(withRetry(request, FAST), { message: 'overloaded' });
+  assert.strictEqual(calls.length, 1);
+});
+
+test('withRetry stops waiting when the caller aborts', async () => {
+  const controller = new AbortController();
+  const { request } = flakyRequest([retryable({ retryAfterMs: 150 })]);
+  setTimeout(() => controller.abort(), 10);
+
+  await assert.rejects(withRetry(request, { ...FAST, signal: controller.signal }), error => error.kind === ERROR_KINDS.CANCELLED);
+});
@@ -0,0 +1,64 @@
+/**
+ * Trace writer tests
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test } = require('node:test');
+const { TraceWriter } = require('../agent/trace');
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'traces-'));
+}
+
+// An earlier run; names start with the start time, as the writer's do
+function addRun(dir, name) {
+  fs.mkdirSync(path.join(dir, name));
+  fs.writeFileSync(path.join(dir, name, 'trace.jsonl'), '{"type":"task"}\n');
+}
+
+function runs(dir) {
+  return fs.readdirSync(dir).sort();
+}
+
+test('a trace records the task, its steps and the result', (t) => {
+  const dir = tempDir();
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const trace = new TraceWriter({ taskId: 'task-1', task: 'Find shoes', dir });
+  trace.writeStep({ number: 1, action: { type: 'scroll' }, prompt: [{ role: 'user', content: 'page', images: [{ mimeType: 'image/png', data: 'AAAA' }] }] });
+  trace.finish('completed', { steps: 1 });
+  trace.finish('failed', {});
+
+  const records = fs.readFileSync(trace.file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  assert.deepStrictEqual(records.map(record => record.type), ['task', 'step', 'result']);
+  assert.deepStrictEqual(records[1].prompt[0].images, [{ mimeType: 'image/png', bytes: 3 }]);
+  assert.strictEqual(records[2].status, 'completed');
+});
+
+test('only the newest maxRuns runs are kept', (t) => {
+  const dir = tempDir();
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  ['2020-01-01_a', '2020-01-02_b', '2020-01-03_c'].forEach(name => addRun(dir, name));
+  fs.mkdirSync(path.join(dir, 'notes'));
+
+  const trace = new TraceWriter({ taskId: 'task-1', task: 'Find shoes', dir, maxRuns: 3 });
+  assert.deepStrictEqual(runs(dir), ['2020-01-02_b', '2020-01-03_c', trace.name, 'notes'].sort());
+});
+
+test('the current run is kept whatever maxRuns is', (t) => {
+  for (const maxRuns of [0, -5, NaN]) {
+    const dir = tempDir();
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    addRun(dir, '2020-01-01_a');
+    // A run sorting after the current one must not push it out
+    addRun(dir, '9999-01-01_z');
+
+    const trace = new TraceWriter({ taskId: 'task-1', task: 'Find shoes', dir, maxRuns });
+    const kept = runs(dir);
+    assert.ok(kept.includes(trace.name), `maxRuns ${maxRuns} kept ${kept}`);
+    assert.strictEqual(kept.length, Number.isNaN(maxRuns) ? 3 : 1, `maxRuns ${maxRuns} kept ${kept}`);
+  }
+});
@@ -0,0 +1,84 @@
+/**
+ * Auth Utility
+ * Token checks for incoming connections
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Parse a comma-separated token list. Entries are either "token" or
+ * "name:token" for per-user tokens. Returns a Map of token -> name.
+ */
+function parseAuthTokens(value) {
+  const tokens = new Map();
+
+  for (const entry of (value || '').split(',')) {
+    const trimmed = entry.trim();
+    if (!trimmed) continue;
+
+    const separator = trimmed.indexOf(':');
+    if (separator > 0) {
+      tokens.set(trimmed.slice(separator + 1), trimmed.slice(0, separator));
+    } else {
+      tokens.set(trimmed, `token-${tokens.size + 1}`);
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Read the token from the request: ?token= query parameter (browsers cannot
+ * set headers on WebSocket connections) or an "Authorization: Bearer" header
+ */
+function getRequestToken(req) {
+  const url = new URL(req.url || '/', 'http://localhost');
+  const queryToken = url.searchParams.get('token');
+  if (queryToken) {
+    return queryToken;
+  }
+
+  const header = req.headers && req.headers.authorization;
+  const match = /^Bearer\s+(.+)$/i.exec(header || '');
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Whether the request comes from this machine (127.0.0.0/8 or ::1)
+ */
+function isLoopback(req) {
+  const address = (req.socket && req.socket.remoteAddress) || '';
+  return address === '::1' || /^(::ffff:)?127\./.test(address);
+}
+
+/**
+ * Return the user name for the request's token, or null if it is not accepted.
+ * With no tokens configured only requests from this machine are accepted, as
+ * 'anonymous'; a reverse proxy on the same machine defeats this check.
+ */
+function authenticate(req, tokens) {
+  if (tokens.size === 0) {
+    return isLoopback(req) ? 'anonymous' : null;
+  }
+
+  const token = getRequestToken(req);
+  if (!token) {
+    return null;
+  }
+
+  // Compare against every token in constant time
+  const given = Buffer.from(token);
+  let user = null;
+  for (const [candidate, name] of tokens) {
+    const expected = Buffer.from(candidate);
+    if (expected.length === given.length && crypto.timingSafeEqual(expected, given)) {
+      user = name;
+    }
+  }
+  return user;
+}
+
+module.exports = {
+  parseAuthTokens,
+  authenticate
+};
@@ -0,0 +1,196 @@
+/**
+ * JSON Repair Utility
+ * Lenient parsing for almost-JSON produced by language models
+ */
+
+/**
+ * Parse text as JSON, repairing common model mistakes if a strict parse fails.
+ * Returns { value, repairs } where repairs lists the fixes that were applied.
+ * Throws the original parse error if the text cannot be repaired.
+ */
+function parseLenientJSON(text) {
+  try {
+    return { value: JSON.parse(text), repairs: [] };
+  } catch (originalError) {
+    const repairs = [];
+    let candidate = text.trim();
+
+    // Drop prose before and after the outermost object
+    const extracted = extractObject(candidate);
+    if (extracted !== null && extracted !== candidate) {
+      candidate = extracted;
+      repairs.push('extracted object from surrounding text');
+    }
+
+    // Remove // and /* */ comments outside of strings
+    const withoutComments = stripComments(candidate);
+    if (withoutComments !== candidate) {
+      candidate = withoutComments;
+      repairs.push('removed comments');
+    }
+
+    // Convert single-quoted strings to double-quoted strings
+    const doubleQuoted = convertSingleQuotes(candidate);
+    if (doubleQuoted !== candidate) {
+      candidate = doubleQuoted;
+      repairs.push('replaced single quotes');
+    }
+
+    // Quote bare object keys
+    const quotedKeys = replaceOutsideStrings(candidate, /([{,]\s*)([A-Za-z_$][\w$]*)(\s*:)/g, '$1"$2"$3');
+    if (quotedKeys !== candidate) {
+      candidate = quotedKeys;
+      repairs.push('quoted bare keys');
+    }
+
+    // Remove trailing commas before closing brackets
+    const withoutTrailingCommas = replaceOutsideStrings(candidate, /,(\s*[}\]])/g, '$1');
+    if (withoutTrailingCommas !== candidate) {
+      candidate = withoutTrailingCommas;
+      repairs.push('removed trailing commas');
+    }
+
+    if (repairs.length === 0) {
+      throw originalError;
+    }
+
+    try {
+      return { value: JSON.parse(candidate), repairs };
+    } catch (error) {
+      throw originalError;
+    }
+  }
+}
+
+/**
+ * Return the first balanced {...} block in the text, or null if there is none
+ */
+function extractObject(text) {
+  const start = text.indexOf('{');
+  if (start === -1) {
+    return null;
+  }
+
+  let depth = 0;
+  let quote = null;
+
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+
+    if (quote) {
+      if (char === '\\') {
+        i++;
+      } else if (char === quote) {
+        quote = null;
+      }
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '{') {
+      depth++;
+    } else if (char === '}') {
+      depth--;
+      if (depth === 0) {
+        return text.substring(start, i + 1);
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Strip comments while leaving string contents untouched
+ */
+function stripComments(text) {
+  let result = '';
+  let quote = null;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quote) {
+      result += char;
+      if (char === '\\') {
+        result += text[++i] || '';
+      } else if (char === quote) {
+        quote = null;
+      }
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      quote = char;
+      result += char;
+    } else if (char === '/' && text[i + 1] === '/') {
+      while (i < text.length && text[i] !== '\n') i++;
+      result += '\n';
+    } else if (char === '/' && text[i + 1] === '*') {
+      i += 2;
+      while (i < text.length && !(text[i] === '*' && text[i + 1] === '/')) i++;
+      i++;
+    } else {
+      result += char;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Rewrite 'single quoted' strings as "double quoted" ones
+ */
+function convertSingleQuotes(text) {
+  let result = '';
+  let quote = null;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quote === '"') {
+      result += char;
+      if (char === '\\') {
+        result += text[++i] || '';
+      } else if (char === '"') {
+        quote = null;
+      }
+    } else if (quote === "'") {
+      if (char === '\\' && text[i + 1] === "'") {
+        result += "'";
+        i++;
+      } else if (char === "'") {
+        result += '"';
+        quote = null;
+      } else if (char === '"') {
+        result += '\\"';
+      } else {
+        result += char;
+      }
+    } else if (char === '"') {
+      quote = '"';
+      result += char;
+    } else if (char === "'") {
+      quote = "'";
+      result += '"';
+    } else {
+      result += char;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Apply a regex replacement to the text between strings. Both quote styles
+ * are skipped, so the result does not depend on convertSingleQuotes running first
+ */
+function replaceOutsideStrings(text, pattern, replacement) {
+  const segments = text.split(/("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')/);
+  return segments
+    .map((segment, index) => (index % 2 === 1 ? segment : segment.replace(pattern, replacement)))
+    .join('');
+}
+
+module.exports = { parseLenientJSON };
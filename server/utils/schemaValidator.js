@@ -0,0 +1,35 @@
+/**
+ * Schema Validator Utility
+ * Validates structured task results against caller-supplied JSON schemas
+ */
+
+const Ajv = require('ajv');
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+
+/**
+ * Compile a JSON schema into a validator. Throws if the schema itself is invalid.
+ * The returned function gives { valid, error } where error names each bad field.
+ */
+function compileSchema(schema) {
+  let validate;
+  try {
+    validate = ajv.compile(schema);
+  } catch (error) {
+    throw new Error(`Invalid output schema: ${error.message}`);
+  }
+
+  return (data) => {
+    if (validate(data)) {
+      return { valid: true, error: null };
+    }
+
+    const error = validate.errors
+      .map(err => `${err.instancePath || '/'} ${err.message}`)
+      .join('; ');
+
+    return { valid: false, error };
+  };
+}
+
+module.exports = { compileSchema };
@@ -0,0 +1,94 @@
+/**
+ * Screenshot Utility
+ * Prepares tab screenshots from the extension for vision-capable models
+ */
+
+const logger = require('./logger'); // Import our logger
+
+// canvas is a native module; without it screenshots are passed through unchanged
+let canvasModule;
+
+/**
+ * Load canvas on first use, or return null if it is not installed
+ */
+function loadCanvas() {
+  if (canvasModule === undefined) {
+    try {
+      canvasModule = require('canvas');
+    } catch (error) {
+      logger.warn('canvas module unavailable; screenshots will not be resized or annotated');
+      canvasModule = null;
+    }
+  }
+  return canvasModule;
+}
+
+/**
+ * Split a data URL into { mimeType, data } (base64 payload)
+ */
+function parseDataUrl(dataUrl) {
+  const match = /^data:([^;]+);base64,(.+)$/.exec(dataUrl || '');
+  if (!match) {
+    throw new Error('Screenshot is not a base64 data URL');
+  }
+  return { mimeType: match[1], data: match[2] };
+}
+
+/**
+ * Crop, downscale and caption a screenshot.
+ * options: { maxWidth, crop: { x, y, width, height }, caption }
+ * Returns { mimeType, data, width, height }
+ */
+async function prepareScreenshot(dataUrl, options = {}) {
+  const image = parseDataUrl(dataUrl);
+  const canvas = loadCanvas();
+
+  if (!canvas) {
+    return image;
+  }
+
+  const { createCanvas, loadImage } = canvas;
+  const source = await loadImage(Buffer.from(image.data, 'base64'));
+
+  // Region of the source image to keep
+  const crop = {
+    x: 0,
+    y: 0,
+    width: source.width,
+    height: source.height,
+    ...options.crop
+  };
+
+  // Downscale to keep image tokens in check
+  const maxWidth = options.maxWidth || 1280;
+  const scale = Math.min(1, maxWidth / crop.width);
+  const width = Math.round(crop.width * scale);
+  const height = Math.round(crop.height * scale);
+
+  const captionHeight = options.caption ? 24 : 0;
+  const output = createCanvas(width, height + captionHeight);
+  const ctx = output.getContext('2d');
+
+  ctx.drawImage(source, crop.x, crop.y, crop.width, crop.height, 0, captionHeight, width, height);
+
+  // Caption strip with the page URL so the model can tie the image to the state
+  if (options.caption) {
+    ctx.fillStyle = '#000000';
+    ctx.fillRect(0, 0, width, captionHeight);
+    ctx.fillStyle = '#FFFFFF';
+    ctx.font = '14px sans-serif';
+    ctx.fillText(options.caption.substring(0, 200), 6, 17);
+  }
+
+  return {
+    mimeType: 'image/jpeg',
+    data: output.toBuffer('image/jpeg', { quality: 0.7 }).toString('base64'),
+    width,
+    height: height + captionHeight
+  };
+}
+
+module.exports = {
+  parseDataUrl,
+  prepareScreenshot
+};
@@ -1,45 +1,319 @@
 /**
  * Log Viewer Utility
- * Displays the most recent log file
+ * Lists task traces and steps through one in the terminal; --server shows
+ * the most recent server log
+ *
+ *   npm run logs                 list recent runs
+ *   npm run logs -- 3            step through run 3 of the list
+ *   npm run logs -- <task id>    step through the run of a task (id prefix)
+ *   npm run logs -- 3 --all      print every step of run 3
+ *   npm run logs -- --server     show the most recent server log
  */
 
 const fs = require('fs');
 const path = require('path');
+const readline = require('readline');
 
-// Get logs directory
+// Get logs and traces directories
 const logsDir = path.join(__dirname, '../logs');
+const tracesDir = process.env.TRACES_DIR || path.join(__dirname, '../traces');
 
-// Check if logs directory exists
-if (!fs.existsSync(logsDir)) {
-  console.error('Logs directory does not exist');
-  process.exit(1);
+// How many runs the list shows
+const LIST_LIMIT = 20;
+
+const args = process.argv.slice(2);
+const flags = new Set(args.filter(arg => arg.startsWith('--')));
+const selector = args.find(arg => !arg.startsWith('--'));
+
+if (flags.has('--server')) {
+  showServerLog();
+} else if (selector) {
+  const run = findRun(selector);
+  if (!run) {
+    console.error(`No run matches "${selector}"; run without arguments to list runs`);
+    process.exit(1);
+  }
+  if (flags.has('--all') || !process.stdin.isTTY) {
+    printAllSteps(run);
+  } else {
+    stepThrough(run);
+  }
+} else {
+  listRuns();
+}
+
+/**
+ * Display the most recent server log file
+ */
+function showServerLog() {
+  if (!fs.existsSync(logsDir)) {
+    console.error('Logs directory does not exist');
+    process.exit(1);
+  }
+
+  // Get all log files
+  const logFiles = fs.readdirSync(logsDir)
+    .filter(file => file.endsWith('.log'))
+    .map(file => ({
+      name: file,
+      path: path.join(logsDir, file),
+      time: fs.statSync(path.join(logsDir, file)).mtime.getTime()
+    }))
+    .sort((a, b) => b.time - a.time); // Sort by most recent
+
+  if (logFiles.length === 0) {
+    console.log('No log files found');
+    return;
+  }
+
+  // Get most recent log file
+  const mostRecentLog = logFiles[0];
+  console.log(`Displaying most recent log file: ${mostRecentLog.name}\n`);
+  console.log(fs.readFileSync(mostRecentLog.path, 'utf8'));
+
+  // Provide info about other logs
+  if (logFiles.length > 1) {
+    console.log(`\nThere are ${logFiles.length - 1} other log files in the logs directory.`);
+    console.log('To view a specific log file, use: cat logs/filename.log');
+  }
+}
+
+/**
+ * Trace directories, most recent first (names start with the start time)
+ */
+function getRunNames() {
+  if (!fs.existsSync(tracesDir)) {
+    return [];
+  }
+  return fs.readdirSync(tracesDir)
+    .filter(name => fs.existsSync(path.join(tracesDir, name, 'trace.jsonl')))
+    .sort()
+    .reverse();
+}
+
+/**
+ * Read a trace into { name, dir, task, steps, result }
+ */
+function loadRun(name) {
+  const dir = path.join(tracesDir, name);
+  const run = { name, dir, task: null, steps: [], result: null };
+
+  const lines = fs.readFileSync(path.join(dir, 'trace.jsonl'), 'utf8').split('\n');
+  for (const line of lines) {
+    if (!line.trim()) continue;
+
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (error) {
+      // A run cut off mid-write leaves a partial last line
+      continue;
+    }
+
+    if (record.type === 'task') {
+      run.task = record;
+    } else if (record.type === 'step') {
+      run.steps.push(record);
+    } else if (record.type === 'result') {
+      run.result = record;
+    }
+  }
+  return run;
 }
 
-// Get all log files
-const logFiles = fs.readdirSync(logsDir)
-  .filter(file => file.endsWith('.log'))
-  .map(file => ({
-    name: file,
-    path: path.join(logsDir, file),
-    time: fs.statSync(path.join(logsDir, file)).mtime.getTime()
-  }))
-  .sort((a, b) => b.time - a.time); // Sort by most recent
+/**
+ * Find a run by its number in the list, its directory name or a task id prefix
+ */
+function findRun(selector) {
+  const names = getRunNames();
 
-if (logFiles.length === 0) {
-  console.log('No log files found');
-  process.exit(0);
+  if (/^\d+$/.test(selector) && Number(selector) >= 1 && Number(selector) <= names.length) {
+    return loadRun(names[Number(selector) - 1]);
+  }
+
+  const name = names.find(candidate => candidate === selector || (candidate.split('_')[1] || '').startsWith(selector));
+  return name ? loadRun(name) : null;
 }
 
-// Get most recent log file
-const mostRecentLog = logFiles[0];
-console.log(`Displaying most recent log file: ${mostRecentLog.name}\n`);
+/**
+ * Print the most recent runs with their outcome
+ */
+function listRuns() {
+  const names = getRunNames();
+  if (names.length === 0) {
+    console.log(`No traces found in ${tracesDir}; runs are recorded unless the server has TRACES=false`);
+    return;
+  }
+
+  console.log(`Recent runs (${Math.min(names.length, LIST_LIMIT)} of ${names.length}):\n`);
+  names.slice(0, LIST_LIMIT).forEach((name, index) => {
+    const run = loadRun(name);
+    const started = run.task ? new Date(run.task.startedAt).toLocaleString() : '?';
+    const status = run.result ? run.result.status : 'unfinished';
+    const duration = run.result && run.result.totalDurationMs !== undefined ? formatMs(run.result.totalDurationMs) : '-';
+    const task = run.task ? truncate(run.task.task, 60) : '';
 
-// Read and display the log file
-const logContent = fs.readFileSync(mostRecentLog.path, 'utf8');
-console.log(logContent);
+    console.log(`${String(index + 1).padStart(3)}  ${started}  ${status.padEnd(10)} ${String(run.steps.length).padStart(3)} steps  ${duration.padStart(7)}  ${task}`);
+  });
 
-// Provide info about other logs
-if (logFiles.length > 1) {
-  console.log(`\nThere are ${logFiles.length - 1} other log files in the logs directory.`);
-  console.log('To view a specific log file, use: cat logs/filename.log');
-} 
\ No newline at end of file
+  console.log('\nTo step through a run, use: npm run logs -- <number>');
+}
+
+/**
+ * Walk through the steps of a run with single-key commands
+ */
+function stepThrough(run) {
+  printRunHeader(run);
+  if (run.steps.length === 0) {
+    printResult(run);
+    return;
+  }
+
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  let index = 0;
+
+  const show = (view) => {
+    printStep(run, index, view);
+    rl.question('\n[Enter/n]ext [p]rev [d]om [m]essages [r]esponses [s]ummary [q]uit or step number > ', handle);
+  };
+
+  const handle = (answer) => {
+    const input = answer.trim().toLowerCase();
+
+    if (input === 'q') {
+      rl.close();
+      return;
+    }
+    if (input === '' || input === 'n') {
+      if (index === run.steps.length - 1) {
+        printResult(run);
+        rl.close();
+        return;
+      }
+      index++;
+      show('summary');
+    } else if (input === 'p') {
+      index = Math.max(0, index - 1);
+      show('summary');
+    } else if (/^\d+$/.test(input)) {
+      index = Math.min(run.steps.length, Math.max(1, Number(input))) - 1;
+      show('summary');
+    } else {
+      show({ d: 'dom', m: 'messages', r: 'responses' }[input] || 'summary');
+    }
+  };
+
+  show('summary');
+}
+
+/**
+ * Print every step of a run (non-interactive terminals and --all)
+ */
+function printAllSteps(run) {
+  printRunHeader(run);
+  run.steps.forEach((step, index) => printStep(run, index, 'summary'));
+  printResult(run);
+}
+
+function printRunHeader(run) {
+  const task = run.task || {};
+  console.log(`Task:    ${task.task}`);
+  console.log(`Task id: ${task.taskId}`);
+  console.log(`Started: ${task.startedAt ? new Date(task.startedAt).toLocaleString() : '?'}`);
+  console.log(`Steps:   ${run.steps.length}`);
+  console.log(`Trace:   ${run.dir}`);
+}
+
+/**
+ * Print one step: the summary, or its page, prompt or raw model responses
+ */
+function printStep(run, index, view) {
+  const step = run.steps[index];
+  const timings = step.timings || {};
+
+  console.log(`\n${'='.repeat(70)}`);
+  console.log(`Step ${step.number} (${index + 1}/${run.steps.length})${step.incomplete ? ' - incomplete' : ''}  ${new Date(step.timestamp).toLocaleTimeString()}`);
+  console.log(`Time: ${formatMs(timings.totalMs)} total, model ${formatMs(timings.llmMs)}, action ${formatMs(timings.actionMs)}`);
+  console.log('='.repeat(70));
+
+  switch (view) {
+    case 'dom':
+      if (!step.dom) {
+        console.log('No page state recorded');
+        return;
+      }
+      console.log(`URL: ${step.dom.url}\nTitle: ${step.dom.title}\nElements: ${step.dom.elementCount} (${step.dom.reason || 'requested'} state)\n`);
+      console.log(step.dom.interactiveElements);
+      return;
+
+    case 'messages':
+      (step.prompt || []).forEach((message, number) => {
+        const images = message.images ? ` [+${message.images.length} image(s)]` : '';
+        console.log(`\n--- ${number + 1}. ${message.role}${images} ---`);
+        console.log(message.content);
+      });
+      return;
+
+    case 'responses':
+      (step.parseAttempts || []).forEach(attempt => {
+        console.log(`\n--- Attempt ${attempt.attempt}${attempt.error ? ` (rejected: ${attempt.error})` : ''} ---`);
+        console.log(JSON.stringify(attempt.response, null, 2));
+        if (attempt.repairs && attempt.repairs.length > 0) {
+          console.log(`Repairs: ${attempt.repairs.join(', ')}`);
+        }
+      });
+      return;
+  }
+
+  const dom = step.dom || {};
+  console.log(`Page:    ${dom.title || ''} ${dom.url || (step.state && step.state.url) || ''}`);
+  if (step.thought) {
+    console.log(`Thought: ${step.thought.evaluation || '-'}`);
+    console.log(`Goal:    ${step.thought.nextGoal || '-'}`);
+  }
+  console.log(`Action:  ${step.action ? JSON.stringify(step.action) : '(none)'}`);
+  if (step.result) {
+    const data = step.result.data || {};
+    const detail = step.result.error || data.message || truncate(data.extracted || '', 200);
+    console.log(`Result:  ${step.result.success ? 'OK' : 'FAILED'}${detail ? ` - ${detail}` : ''}`);
+  }
+
+  const attempts = step.parseAttempts || [];
+  const rejected = attempts.filter(attempt => attempt.error);
+  if (rejected.length > 0) {
+    console.log(`Model:   ${attempts.length} attempts, rejected: ${rejected.map(attempt => attempt.error).join('; ')}`);
+  }
+  if (step.usage) {
+    console.log(`Tokens:  ${step.usage.promptTokens} in / ${step.usage.completionTokens} out over ${step.usage.llmCalls} call(s)`);
+  }
+  if (step.screenshot) {
+    console.log(`Shot:    ${path.join(run.dir, step.screenshot)}`);
+  }
+}
+
+function printResult(run) {
+  console.log(`\n${'='.repeat(70)}`);
+  if (!run.result) {
+    console.log('The run has no result; it was interrupted or is still running');
+    return;
+  }
+  console.log(`Result: ${run.result.status} - ${run.result.message || ''}`);
+  if (run.result.reason) {
+    console.log(`Reason: ${run.result.reason}`);
+  }
+  if (run.result.usage) {
+    console.log(`Usage:  ${run.result.usage.totalTokens} tokens over ${run.result.usage.llmCalls} call(s)`);
+  }
+}
+
+function formatMs(ms) {
+  if (typeof ms !== 'number') {
+    return '-';
+  }
+  return ms >= 1000 ? `${(ms / 1000).toFixed(1)}s` : `${ms}ms`;
+}
+
+function truncate(text, length) {
+  const oneLine = String(text).replace(/\s+/g, ' ').trim();
+  return oneLine.length > length ? `${oneLine.substring(0, length - 3)}...` : oneLine;
+}